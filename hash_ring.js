@@ -0,0 +1,59 @@
+// A simple consistent hash ring, used for routing keyed custom requests to workers
+// Each node is placed on the ring many times (virtual nodes), so adding or removing
+// a node only moves a small share of keys to other nodes
+
+var crypto = require('crypto');
+var Class = require("pixl-class");
+
+module.exports = Class.create({
+	
+	points: null,
+	vnodes: 100,
+	
+	__construct: function(ids, vnodes) {
+		// class constructor, build ring from array of node ids
+		var self = this;
+		if (vnodes) this.vnodes = vnodes;
+		this.points = [];
+		
+		ids.forEach( function(id) {
+			for (var idx = 0; idx < self.vnodes; idx++) {
+				self.points.push({ hash: self.hash(id + '-' + idx), id: id });
+			}
+		} );
+		
+		this.points.sort( function(a, b) { return a.hash - b.hash; } );
+	},
+	
+	hash: function(str) {
+		// hash string to 32-bit unsigned integer position on the ring
+		return parseInt( crypto.createHash('md5').update('' + str).digest('hex').substring(0, 8), 16 );
+	},
+	
+	find: function(key, filter) {
+		// locate node for key, walking clockwise until filter (optional) accepts a node
+		var points = this.points;
+		var len = points.length;
+		if (!len) return null;
+		
+		// binary search for first point at or after key hash
+		var hash = this.hash(key);
+		var low = 0, high = len;
+		while (low < high) {
+			var mid = (low + high) >>> 1;
+			if (points[mid].hash < hash) low = mid + 1;
+			else high = mid;
+		}
+		
+		var tried = {};
+		for (var idx = 0; idx < len; idx++) {
+			var id = points[ (low + idx) % len ].id;
+			if (tried[id]) continue;
+			tried[id] = 1;
+			if (!filter || filter(id)) return id;
+		}
+		
+		return null;
+	}
+	
+}); // HashRing
@@ -27,7 +27,10 @@ module.exports = Class.create({
 	
 	startup: function(callback) {
 		// start worker pool system
+		// returns promise if no callback is provided
 		var self = this;
+		if (!callback) return this.promisify( this.startup );
+		
 		this.worker_pools = {};
 		this.logDebug(3, "pixl-server-pool v" + this.version + " starting up");
 		
@@ -88,6 +91,16 @@ module.exports = Class.create({
 	
 	createPool: function(pool_key, pool_config, callback) {
 		// create new pool on-demand
+		// returns promise (resolves to pool once started) if no callback is provided
+		var self = this;
+		if (!callback) return new Promise( function(resolve, reject) {
+			// (startup may call back synchronously, i.e. with zero children, so look up pool by key)
+			self.createPool( pool_key, pool_config, function(err) {
+				if (err) reject(err);
+				else resolve( self.getPool(pool_key) );
+			} );
+		} );
+		
 		if (!this.worker_pools) {
 			return callback( new Error("Pool system is uninitialized (trying to create pool before startup)") );
 		}
@@ -118,7 +131,10 @@ module.exports = Class.create({
 	
 	removePool: function(pool_key, callback) {
 		// shut down and remove pool
+		// returns promise if no callback is provided
 		var self = this;
+		if (!callback) return this.promisify( this.removePool, pool_key );
+		
 		var pool = this.getPool(pool_key);
 		if (!pool) return callback( new Error("Cannot find Pool: " + pool_key) );
 		
@@ -168,7 +184,10 @@ module.exports = Class.create({
 	
 	shutdown: function(callback) {
 		// shut down all workers in all pools
+		// returns promise if no callback is provided
 		var self = this;
+		if (!callback) return this.promisify( this.shutdown );
+		
 		if (!this.worker_pools) return callback();
 		var pool_keys = Object.keys(this.worker_pools);
 		this.logDebug(3, "Worker Pool Manager shutting down");
@@ -184,6 +203,20 @@ module.exports = Class.create({
 		else callback();
 	},
 	
+	promisify: function(func) {
+		// call our own callback-style method with a trailing callback, wrapped in a promise
+		// resolves with the first non-error callback argument
+		var self = this;
+		var args = Array.prototype.slice.call( arguments, 1 );
+		
+		return new Promise( function(resolve, reject) {
+			func.apply( self, args.concat( function(err, result) {
+				if (err) reject(err);
+				else resolve(result);
+			} ) );
+		} );
+	},
+	
 	emergencyShutdown: function(signal) {
 		// kill all children as soon as possible (crash, etc.)
 		if (!signal) signal = 'SIGTERM';
@@ -0,0 +1,21 @@
+// Promise wrapper for delegateCustom, shared by WorkerPool and WorkerProxy
+// Resolves to { data, perf }, rejects with the usual Error (with code), and the
+// returned promise carries the request id and cancel() function from the handle
+
+module.exports = function promiseCustom(target, user_data, opts) {
+	var handle = null;
+	
+	var promise = new Promise( function(resolve, reject) {
+		handle = target.delegateCustom( user_data, opts || {}, function(err, data, perf) {
+			if (err) {
+				err.perf = perf;
+				return reject(err);
+			}
+			resolve({ data: data, perf: perf });
+		} );
+	} );
+	
+	promise.id = handle.id;
+	promise.cancel = handle.cancel;
+	return promise;
+};
@@ -0,0 +1,46 @@
+// Serialize errors in workers and rebuild them in the parent, for custom requests
+// Keeps the original name, message, code, stack and any primitive custom properties,
+// so callers can branch on real error codes instead of just the HTTP status
+
+module.exports = {
+	
+	serialize: function(err) {
+		// convert Error into plain object that survives msgpack
+		var info = {
+			name: err.name || 'Error',
+			message: err.message || ('' + err),
+			stack: err.stack || '',
+			pid: process.pid,
+			props: {}
+		};
+		if ((typeof(err.code) == 'string') || (typeof(err.code) == 'number')) info.code = err.code;
+		
+		// copy custom props, primitives only
+		Object.keys(err).forEach( function(key) {
+			var value = err[key];
+			if ((key == 'code') || (key == 'stack') || (key == 'message')) return;
+			if ((value === null) || (typeof(value) == 'string') || (typeof(value) == 'number') || (typeof(value) == 'boolean')) {
+				info.props[key] = value;
+			}
+		} );
+		
+		return info;
+	},
+	
+	revive: function(info, status) {
+		// rebuild Error from serialized object, using HTTP status as code if the original had none
+		var err = new Error( info.message );
+		if (info.name && (info.name != 'Error')) err.name = info.name;
+		
+		for (var key in info.props) {
+			if (!(key in err)) err[key] = info.props[key];
+		}
+		
+		err.code = ("code" in info) ? info.code : status;
+		err.status = status;
+		err.workerPid = info.pid;
+		err.remoteStack = info.stack;
+		return err;
+	}
+	
+};
@@ -0,0 +1,55 @@
+// Cron-like time matching, used for scheduled pool limits
+// Expressions have 5 fields: minute, hour, day of month, month, day of week (0 or 7 is Sunday)
+// Each field may be *, a number, a range (1-5), a list (1,3,5) or have a step (*/15, 8-18/2)
+// All fields must match (unlike classic cron, which ORs day of month and day of week)
+
+var ranges = [ [0, 59], [0, 23], [1, 31], [1, 12], [0, 7] ];
+
+function parseField(field, range, expr) {
+	// parse one field into hash of matching values
+	var lookup = {};
+	
+	field.split(',').forEach( function(part) {
+		var matches = part.match(/^(\*|(\d+)(?:\-(\d+))?)(?:\/(\d+))?$/);
+		if (!matches) throw new Error("Invalid schedule expression: " + expr + " (bad field: " + field + ")");
+		
+		var low = range[0], high = range[1];
+		if (matches[1] != '*') {
+			low = parseInt( matches[2] );
+			high = matches[3] ? parseInt( matches[3] ) : (matches[4] ? range[1] : low);
+		}
+		var step = matches[4] ? parseInt( matches[4] ) : 1;
+		
+		if ((low < range[0]) || (high > range[1]) || (low > high) || !step) {
+			throw new Error("Invalid schedule expression: " + expr + " (out of range: " + field + ")");
+		}
+		for (var value = low; value <= high; value += step) lookup[value] = true;
+	} );
+	
+	return lookup;
+}
+
+module.exports = {
+	
+	parse: function(expr) {
+		// parse cron-like expression into array of lookup hashes, one per field
+		var fields = ('' + expr).trim().split(/\s+/);
+		if (fields.length != 5) throw new Error("Invalid schedule expression: " + expr + " (expected 5 fields)");
+		
+		var parsed = fields.map( function(field, idx) { return parseField(field, ranges[idx], expr); } );
+		
+		// allow 7 for sunday
+		if (parsed[4][7]) parsed[4][0] = true;
+		return parsed;
+	},
+	
+	matches: function(parsed, date) {
+		// check if parsed expression matches date (local time)
+		var values = [ date.getMinutes(), date.getHours(), date.getDate(), date.getMonth() + 1, date.getDay() ];
+		
+		return parsed.every( function(lookup, idx) {
+			return !!lookup[ values[idx] ];
+		} );
+	}
+	
+};
@@ -14,6 +14,24 @@ module.exports = {
 			callback({ code: 0, routed: true });
 		} );
 		
+		// async URI route, returns promise instead of firing callback
+		worker.addURIHandler( /\/childasync/, "Child Async", async function(args) {
+			await new Promise( function(resolve) { setTimeout( resolve, 10 ); } );
+			if (args.query.error) throw new Error("SIMULATING ASYNC ERROR FROM CHILD: " + process.pid);
+			if (args.query.tuple) return [ "201 Created", { 'X-Async': "1" }, "Created asynchronously" ];
+			return { code: 0, async: true };
+		} );
+		
+		// named RPC methods, called via pool.call()
+		worker.addMethod( 'add', function(args, callback) {
+			callback( null, { sum: args.params.a + args.params.b, pid: process.pid } );
+		} );
+		
+		worker.addMethod( 'sleepEcho', async function(args) {
+			await new Promise( function(resolve) { setTimeout( resolve, args.params.sleep || 0 ); } );
+			return { echo: args.params, method: args.method };
+		} );
+		
 		callback();
 	},
 	
@@ -21,6 +39,14 @@ module.exports = {
 		// handle web request
 		var res = req.response;
 		
+		// optionally report back when request is aborted (i.e. client disconnects)
+		if (req.query.report_abort) {
+			var worker = this.worker;
+			req.onAbort( function(reason) {
+				worker.sendMessage({ aborted: req.id, reason: reason, signal_aborted: req.signal.aborted });
+			} );
+		}
+		
 		switch (req.query.type) {
 			case 'json':
 				// send back json
@@ -93,14 +119,53 @@ module.exports = {
 	
 	custom: function(req, callback) {
 		// handle custom request
-		return callback( null, {
-			code: 0,
-			description: "Success",
-			user: { Name: "Joe", Email: "foo@bar.com" },
-			params: req.params,
-			pid: process.pid,
-			hostname: this.worker.server.hostname
-		} );
+		var self = this;
+		var sleep_ms = parseInt( req.params.sleep || 0 );
+		
+		// optionally respond via promise instead of callback
+		if (req.params.async) return this.customAsync(req);
+		
+		// optionally only sleep in one specific worker
+		if (req.params.slow_pid && (req.params.slow_pid != process.pid)) sleep_ms = 0;
+		
+		// optionally fail in all other workers
+		if (req.params.error_others && (req.params.slow_pid != process.pid)) req.params.error = true;
+		
+		setTimeout( function() {
+			if (req.params.error) {
+				var err = new Error("SIMULATING CUSTOM ERROR FROM CHILD: " + process.pid);
+				if (req.params.error_code) {
+					// structured error with custom props
+					err.name = 'CustomError';
+					err.code = req.params.error_code;
+					err.retryable = true;
+					err.meta = { not: "copied" };
+				}
+				return callback( err );
+			}
+			
+			var resp = {
+				code: 0,
+				description: "Success",
+				user: { Name: "Joe", Email: "foo@bar.com" },
+				params: req.params,
+				pid: process.pid,
+				hostname: self.worker.server.hostname
+			};
+			if (req.deadline) resp.time_remaining = req.timeRemaining();
+			
+			callback( null, resp );
+			
+			// optionally keep burning cpu after responding
+			if (req.params.spin_ms) self.spin( req.params.spin_ms );
+		}, sleep_ms );
+	},
+	
+	customAsync: async function(req) {
+		// handle custom request as async function
+		await new Promise( function(resolve) { setTimeout( resolve, 10 ); } );
+		if (req.params.error) throw new Error("SIMULATING ASYNC CUSTOM ERROR FROM CHILD: " + process.pid);
+		return { code: 0, async: true, pid: process.pid };
 	},
 	
 	message: function(data) {
@@ -131,6 +196,17 @@ module.exports = {
 	// UTILITY METHODS:
 	//
 	
+	spin: function(ms) {
+		// busy loop for N ms, in small chunks so commands from parent still get through
+		var end = Date.now() + ms;
+		var step = function() {
+			var chunk_end = Math.min( end, Date.now() + 50 );
+			while (Date.now() < chunk_end) {}
+			if (Date.now() < end) setImmediate( step );
+		};
+		step();
+	},
+	
 	digestHex: function(str, algo) {
 		// digest string using SHA256 (by default), return hex hash
 		var shasum = crypto.createHash( algo || 'sha256' );
@@ -1492,6 +1492,1479 @@ module.exports = {
 					test.done();
 				}
 			); // whilst
+		},
+		
+		// round robin strategy
+		function testRoundRobinStrategy(test) {
+			// 10 sequential custom requests across 5 workers should hit each one exactly twice
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var counts = {};
+			
+			pool.config.strategy = 'round_robin';
+			
+			async.timesSeries( 10,
+				function(idx, callback) {
+					pool.delegateCustom( { idx: idx }, function(err, resp, perf) {
+						test.ok( !err, "No error from delegateCustom: " + err );
+						test.ok( !!resp && !!resp.pid, "Got PID in response" );
+						counts[ resp.pid ] = (counts[ resp.pid ] || 0) + 1;
+						callback();
+					} );
+				},
+				function(err) {
+					test.ok( Tools.numKeys(counts) == 5, "All 5 workers were chosen: " + JSON.stringify(counts) );
+					for (var pid in counts) {
+						test.ok( counts[pid] == 2, "Worker " + pid + " served exactly 2 requests: " + counts[pid] );
+					}
+					
+					pool.config.strategy = 'least_requests';
+					test.done();
+				}
+			); // timesSeries
+		},
+		
+		// affinity
+		function testAffinity(test) {
+			// custom requests with the same key should stick to the same worker, until it is shut down
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var pids = {};
+			
+			pool.config.affinity = { type: 'custom', name: 'user' };
+			
+			async.timesSeries( 5,
+				function(idx, callback) {
+					pool.delegateCustom( { user: 'joe', idx: idx }, function(err, resp, perf) {
+						test.ok( !err, "No error from delegateCustom: " + err );
+						pids[ resp.pid ] = 1;
+						callback();
+					} );
+				},
+				function(err) {
+					test.ok( Tools.numKeys(pids) == 1, "All requests went to the same worker: " + JSON.stringify(pids) );
+					
+					// shut down sticky worker, key should be remapped
+					var old_pid = Tools.firstKey(pids);
+					pool.getWorker(old_pid).shutdown();
+					
+					pool.delegateCustom( { user: 'joe' }, function(err, resp, perf) {
+						test.ok( !err, "No error from delegateCustom: " + err );
+						test.ok( resp.pid != old_pid, "Request was remapped to a new worker: " + resp.pid );
+						test.ok( pool.affinity_map.joe.pid == resp.pid, "Affinity map points at new worker" );
+						
+						delete pool.config.affinity;
+						
+						// replace the worker we shut down
+						pool.addWorker( function(err) {
+							test.ok( !err, "No error spawning replacement worker: " + err );
+							test.done();
+						} );
+					} );
+				}
+			); // timesSeries
+		},
+		
+		// consistent hash
+		function testConsistentHash(test) {
+			// removing a worker should only move the keys that were mapped to it
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var keys = [];
+			for (var idx = 0; idx < 50; idx++) keys.push( 'key' + idx );
+			
+			var mapKeys = function(callback) {
+				var map = {};
+				async.eachSeries( keys,
+					function(key, callback) {
+						pool.delegateCustom( { key: key }, { hash_key: key }, function(err, resp, perf) {
+							test.ok( !err, "No error from delegateCustom: " + err );
+							map[key] = resp.pid;
+							callback();
+						} );
+					},
+					function() { callback(map); }
+				);
+			};
+			
+			mapKeys( function(before) {
+				var pids = {};
+				for (var key in before) pids[ before[key] ] = 1;
+				test.ok( Tools.numKeys(pids) > 1, "Keys were spread across multiple workers" );
+				
+				// remove one worker
+				var old_pid = before.key0;
+				pool.getWorker(old_pid).shutdown();
+				
+				mapKeys( function(after) {
+					for (var key in before) {
+						if (before[key] == old_pid) test.ok( after[key] != old_pid, "Key moved off removed worker: " + key );
+						else test.ok( after[key] == before[key], "Key stayed on same worker: " + key );
+					}
+					
+					// replace the worker we shut down
+					pool.addWorker( function(err) {
+						test.ok( !err, "No error spawning replacement worker: " + err );
+						test.done();
+					} );
+				} );
+			} );
+		},
+		
+		// priority queue
+		function testPriorityQueue(test) {
+			// higher priority requests should jump the queue, and evict lower priority ones when full
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var order = [];
+			
+			// hot-change config
+			pool.config.max_concurrent_requests = 1;
+			pool.config.max_queue_size = 2;
+			
+			async.parallel(
+				[
+					function(callback) {
+						// occupies the only slot
+						pool.delegateCustom( { name: 'A', sleep: 250 }, function(err, resp) {
+							test.ok( !err, "No error from delegateCustom: " + err );
+							order.push('A');
+							callback();
+						} );
+					},
+					function(callback) {
+						pool.delegateCustom( { name: 'B' }, function(err, resp) {
+							test.ok( !err, "No error from delegateCustom: " + err );
+							order.push('B');
+							callback();
+						} );
+					},
+					function(callback) {
+						// queue will be full after this one
+						pool.delegateCustom( { name: 'C' }, function(err, resp) {
+							test.ok( !!err, "Error expected for evicted request" );
+							test.ok( err && (err.code == "429 Too Many Requests"), "Correct error code: " + (err && err.code) );
+							order.push('C');
+							callback();
+						} );
+					},
+					function(callback) {
+						// higher priority, should evict C and jump ahead of B
+						pool.delegateCustom( { name: 'D' }, { priority: 10 }, function(err, resp) {
+							test.ok( !err, "No error from delegateCustom: " + err );
+							order.push('D');
+							callback();
+						} );
+					}
+				],
+				function(err) {
+					test.ok( order.join('') == 'CADB', "Correct order of completion: " + order.join('') );
+					test.ok( pool.queue.length == 0, "Queue is empty" );
+					
+					pool.config.max_concurrent_requests = 50;
+					pool.config.max_queue_size = 0;
+					test.done();
+				}
+			); // parallel
+		},
+		
+		// queue wait timeout
+		function testQueueWaitTimeout(test) {
+			// queued request should fail with 503 and Retry-After if it waits too long
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			// hot-change config
+			pool.config.max_concurrent_requests = 1;
+			pool.config.max_queue_size = 1;
+			pool.config.max_queue_wait_sec = 0.1;
+			
+			async.parallel(
+				[
+					function(callback) {
+						// occupies the only slot
+						pool.delegateCustom( { sleep: 300 }, function(err, resp) {
+							test.ok( !err, "No error from delegateCustom: " + err );
+							callback();
+						} );
+					},
+					function(callback) {
+						pool.delegateRequest( { cmd: 'custom', params: {} }, function(status, headers, body) {
+							test.ok( status == "503 Service Unavailable", "Correct status for expired request: " + status );
+							test.ok( headers['Retry-After'] == 1, "Correct Retry-After header: " + headers['Retry-After'] );
+							test.ok( !!body.toString().match(/waited in queue/), "Correct error message: " + body );
+							test.ok( pool.queue.length == 0, "Queue is empty" );
+							callback();
+						} );
+					}
+				],
+				function(err) {
+					pool.config.max_concurrent_requests = 50;
+					pool.config.max_queue_size = 0;
+					pool.config.max_queue_wait_sec = 0;
+					test.done();
+				}
+			); // parallel
+		},
+		
+		// fair queue
+		function testFairQueue(test) {
+			// queued requests should be served round-robin across clients, with per-client cap
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var order = [];
+			
+			// hot-change config
+			pool.config.max_concurrent_requests = 1;
+			pool.config.max_queue_size = 10;
+			pool.config.fair_queue = { type: 'custom', name: 'client', max_per_key: 3 };
+			
+			var names = ['A', 'x1', 'x2', 'x3', 'x4', 'y1', 'z1'];
+			
+			async.each( names,
+				function(name, callback) {
+					var data = { client: name.substring(0, 1), sleep: (name == 'A') ? 200 : 0 };
+					
+					pool.delegateCustom( data, function(err, resp) {
+						if (name == 'x4') {
+							test.ok( !!err, "Error expected for client over its queue limit" );
+							test.ok( err && !!err.message.match(/too many requests queued/), "Correct error message: " + err );
+						}
+						else test.ok( !err, "No error from delegateCustom: " + err );
+						
+						order.push(name);
+						callback();
+					} );
+				},
+				function(err) {
+					test.ok( order.join(',') == 'x4,A,x1,y1,z1,x2,x3', "Correct order of completion: " + order.join(',') );
+					test.ok( pool.queue.length == 0, "Queue is empty" );
+					test.ok( Tools.numKeys(pool.queue_counts) == 0, "Queue counts are empty" );
+					
+					pool.config.max_concurrent_requests = 50;
+					pool.config.max_queue_size = 0;
+					delete pool.config.fair_queue;
+					test.done();
+				}
+			); // each
+		},
+		
+		// rate limit
+		function testRateLimit(test) {
+			// client should be limited to its burst, while other clients are unaffected
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			pool.config.rate_limit = { type: 'custom', name: 'client', rate: 0.5, burst: 2 };
+			
+			async.timesSeries( 3,
+				function(idx, callback) {
+					pool.delegateRequest( { cmd: 'custom', params: { client: 'a' } }, function(status, headers, body) {
+						if (idx < 2) test.ok( status == "200 OK", "Request within burst allowed: " + status );
+						else {
+							test.ok( status == "429 Too Many Requests", "Request over limit rejected: " + status );
+							test.ok( headers['X-RateLimit-Limit'] == 2, "Correct X-RateLimit-Limit header: " + headers['X-RateLimit-Limit'] );
+							test.ok( headers['X-RateLimit-Remaining'] == 0, "Correct X-RateLimit-Remaining header: " + headers['X-RateLimit-Remaining'] );
+							test.ok( headers['Retry-After'] == 2, "Correct Retry-After header: " + headers['Retry-After'] );
+						}
+						callback();
+					} );
+				},
+				function(err) {
+					pool.delegateCustom( { client: 'b' }, function(err, resp) {
+						test.ok( !err, "Other client is not limited: " + err );
+						
+						delete pool.config.rate_limit;
+						test.done();
+					} );
+				}
+			); // timesSeries
+		},
+		
+		// adaptive concurrency
+		function testAdaptiveConcurrency(test) {
+			// slow responses should lower the concurrency limit, and the limit should be enforced
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var events = [];
+			
+			pool.config.adaptive_concurrency = { method: 'aimd', target_latency_ms: 50, min_limit: 2, max_limit: 20, initial_limit: 8, decrease: 0.5 };
+			test.ok( pool.getConcurrencyLimit() == 8, "Initial concurrency limit is correct: " + pool.getConcurrencyLimit() );
+			
+			var onConcurrency = function(event) { events.push(event); };
+			pool.on('concurrency', onConcurrency);
+			
+			async.timesSeries( 2,
+				function(idx, callback) {
+					pool.delegateCustom( { sleep: 100 }, function(err, resp) {
+						test.ok( !err, "No error from slow request: " + err );
+						callback();
+					} );
+				},
+				function(err) {
+					test.ok( pool.getConcurrencyLimit() == 2, "Concurrency limit was lowered: " + pool.getConcurrencyLimit() );
+					test.ok( events.length == 2, "Correct number of concurrency events: " + events.length );
+					test.ok( events[0].previous == 8 && events[0].limit == 4, "First event is correct: " + JSON.stringify(events[0]) );
+					test.ok( events[1].previous == 4 && events[1].limit == 2, "Second event is correct: " + JSON.stringify(events[1]) );
+					
+					// lowered limit should now be enforced
+					async.times( 3,
+						function(idx, callback) {
+							pool.delegateCustom( { sleep: 100 }, function(err, resp) {
+								callback( null, err ? err.code : "200 OK" );
+							} );
+						},
+						function(err, codes) {
+							var num_rejected = codes.filter( function(code) { return code == "429 Too Many Requests"; } ).length;
+							test.ok( num_rejected == 1, "One request rejected by adaptive limit: " + JSON.stringify(codes) );
+							
+							pool.removeListener('concurrency', onConcurrency);
+							delete pool.config.adaptive_concurrency;
+							pool.adaptive_state = null;
+							test.done();
+						}
+					); // times
+				}
+			); // timesSeries
+		},
+		
+		// per-worker concurrency cap
+		function testWorkerConcurrencyCap(test) {
+			// workers at their cap should not receive more requests, extras should be queued
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			pool.config.max_requests_per_worker_concurrent = 1;
+			pool.config.max_queue_size = 10;
+			
+			async.times( 7,
+				function(idx, callback) {
+					pool.delegateCustom( { sleep: 100 }, function(err, resp) {
+						callback( null, err ? err.code : "200 OK" );
+					} );
+					
+					if (idx == 6) {
+						// all requests have been dispatched or queued at this point
+						var workers = pool.getWorkers();
+						for (var pid in workers) {
+							test.ok( workers[pid].num_active_requests <= 1, "Worker is not over its cap: " + workers[pid].num_active_requests );
+						}
+						test.ok( pool.queue.length == 2, "Extra requests were queued: " + pool.queue.length );
+					}
+				},
+				function(err, codes) {
+					var num_ok = codes.filter( function(code) { return code == "200 OK"; } ).length;
+					test.ok( num_ok == 7, "All requests completed successfully: " + JSON.stringify(codes) );
+					
+					// without a queue, requests over the cap are rejected
+					pool.config.max_queue_size = 0;
+					
+					async.times( 6,
+						function(idx, callback) {
+							pool.delegateCustom( { sleep: 100 }, function(err, resp) {
+								callback( null, err ? err.code : "200 OK" );
+							} );
+						},
+						function(err, codes) {
+							var num_rejected = codes.filter( function(code) { return code == "429 Too Many Requests"; } ).length;
+							test.ok( num_rejected == 1, "One request rejected by worker cap: " + JSON.stringify(codes) );
+							
+							pool.config.max_requests_per_worker_concurrent = 0;
+							test.done();
+						}
+					); // times
+				}
+			); // times
+		},
+		
+		// retry aborted requests
+		function testRetryAborted(test) {
+			// retryable request should be sent to another worker if its worker crashes
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var retries = [];
+			var killed_pid = 0;
+			
+			pool.config.max_retries = 2;
+			
+			var onRetry = function(event) { retries.push(event); };
+			pool.on('retry', onRetry);
+			
+			pool.delegateCustom( { sleep: 500 }, { retryable: true }, function(err, resp) {
+				test.ok( !err, "No error from retried request: " + err );
+				test.ok( resp.pid != killed_pid, "Response came from a different worker: " + resp.pid );
+				test.ok( retries.length == 1, "One retry event was emitted: " + retries.length );
+				test.ok( retries[0].pid == killed_pid, "Retry event has correct pid: " + retries[0].pid );
+				test.ok( retries[0].attempt == 1, "Retry event has correct attempt: " + retries[0].attempt );
+				
+				// non-retryable requests should still fail
+				pool.delegateCustom( { sleep: 500 }, function(err, resp) {
+					test.ok( !!err, "Got error from non-retryable request" );
+					test.ok( err.code == "500 Internal Server Error", "Correct error code: " + err.code );
+					test.ok( retries.length == 1, "No additional retry events: " + retries.length );
+					
+					pool.removeListener('retry', onRetry);
+					pool.config.max_retries = 0;
+					
+					// replace the two workers we killed
+					async.timesSeries( 2, function(idx, callback) { pool.addWorker(callback); }, function(err) {
+						test.ok( !err, "No error spawning replacement workers: " + err );
+						test.done();
+					} );
+				} );
+				killWorker();
+			} );
+			
+			var killWorker = function() {
+				// kill the worker serving our request
+				var workers = pool.getWorkers();
+				for (var pid in workers) {
+					if (workers[pid].num_active_requests) {
+						killed_pid = workers[pid].pid;
+						workers[pid].child.kill('SIGKILL');
+						break;
+					}
+				}
+			};
+			killWorker();
+		},
+		
+		// hedged custom requests
+		function testHedge(test) {
+			// slow request should be duplicated on another worker, and the fast answer should win
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			// pin the original request to a known worker, which will be the slow one
+			var slow_pid = pool.pickWorkerHash('hedge1').pid;
+			var started = Date.now();
+			
+			pool.delegateCustom( { sleep: 500, slow_pid: slow_pid }, { hash_key: 'hedge1', hedge: 50 }, function(err, resp) {
+				var elapsed = Date.now() - started;
+				test.ok( !err, "No error from hedged request: " + err );
+				test.ok( resp.pid != slow_pid, "Response came from the hedge worker: " + resp.pid );
+				test.ok( elapsed < 400, "Hedged request did not wait for slow worker: " + elapsed );
+				test.ok( pool.getLatencyPercentile(95) > 0, "Pool has a p95 latency: " + pool.getLatencyPercentile(95) );
+				
+				// wait for slow worker to finish, its response should be quietly dropped
+				setTimeout( function() {
+					var worker = pool.getWorker(slow_pid);
+					test.ok( Tools.numKeys(worker.requests) == 0, "Cancelled request was removed from slow worker" );
+					test.ok( worker.num_active_requests == 0, "Slow worker has no active requests: " + worker.num_active_requests );
+					test.ok( pool.num_active_requests == 0, "Pool has no active requests: " + pool.num_active_requests );
+					test.done();
+				}, 600 );
+			} );
+		},
+		
+		function testHedgeError(test) {
+			// failed hedge should be ignored, and the original request should still answer
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			var slow_pid = pool.pickWorkerHash('hedge1').pid;
+			var started = Date.now();
+			
+			pool.delegateCustom( { sleep: 300, slow_pid: slow_pid, error_others: true }, { hash_key: 'hedge1', hedge: 50 }, function(err, resp) {
+				var elapsed = Date.now() - started;
+				test.ok( !err, "No error from hedged request: " + err );
+				test.ok( resp && (resp.pid == slow_pid), "Response came from the original worker: " + (resp && resp.pid) );
+				test.ok( elapsed >= 250, "Hedged request waited for original worker: " + elapsed );
+				test.ok( pool.num_active_requests == 0, "Pool has no active requests: " + pool.num_active_requests );
+				test.done();
+			} );
+		},
+		
+		// circuit breaker
+		function testCircuitBreaker(test) {
+			// errors should open the circuit, and a successful probe after cooldown should close it
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var events = [];
+			
+			pool.config.circuit_breaker = { error_rate: 0.5, min_requests: 4, window_sec: 10, cooldown_sec: 1, probe_requests: 1 };
+			
+			var onCircuit = function(event) { events.push(event.previous + '>' + event.state); };
+			pool.on('circuit', onCircuit);
+			
+			async.timesSeries( 4,
+				function(idx, callback) {
+					pool.delegateCustom( { error: true }, function(err, resp) {
+						test.ok( err && (err.code == "500 Internal Server Error"), "Got error from child: " + (err && err.code) );
+						callback();
+					} );
+				},
+				function(err) {
+					test.ok( pool.circuit_state == 'open', "Circuit is open: " + pool.circuit_state );
+					
+					pool.delegateRequest( { cmd: 'custom', params: {} }, function(status, headers, body) {
+						test.ok( status == "503 Service Unavailable", "Request failed fast: " + status );
+						test.ok( headers['Retry-After'] == 1, "Correct Retry-After header: " + headers['Retry-After'] );
+						
+						// wait for cooldown, then probe should close the circuit
+						setTimeout( function() {
+							pool.delegateCustom( {}, function(err, resp) {
+								test.ok( !err, "No error from probe request: " + err );
+								test.ok( pool.circuit_state == 'closed', "Circuit is closed: " + pool.circuit_state );
+								test.ok( events.join(',') == 'closed>open,open>half_open,half_open>closed', "Correct circuit events: " + events.join(',') );
+								
+								pool.removeListener('circuit', onCircuit);
+								delete pool.config.circuit_breaker;
+								test.done();
+							} );
+						}, 1100 );
+					} );
+				}
+			); // timesSeries
+		},
+		
+		function testCircuitProbeRelease(test) {
+			// probes which are cancelled or lose a hedge race should free their slot, without closing the circuit
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			pool.config.circuit_breaker = { error_rate: 0.5, min_requests: 4, window_sec: 10, cooldown_sec: 1, probe_requests: 1 };
+			pool.setCircuitState('open');
+			pool.circuit_opened = Tools.timeNow() - 2;
+			
+			// probe loses hedge race to another worker
+			var slow_pid = pool.pickWorkerHash('hedge1').pid;
+			
+			pool.delegateCustom( { sleep: 300, slow_pid: slow_pid }, { hash_key: 'hedge1', hedge: 50 }, function(err, resp) {
+				test.ok( !err, "No error from hedged probe: " + err );
+				test.ok( resp.pid != slow_pid, "Hedge won the race: " + resp.pid );
+				
+				// wait for slow worker to finish, so the cancelled probe is dropped
+				setTimeout( function() {
+					test.ok( pool.circuit_state == 'half_open', "Circuit is still half open: " + pool.circuit_state );
+					test.ok( pool.circuit_probes == 0, "Probe slot was released: " + pool.circuit_probes );
+					
+					// cancelled probe should not close the circuit either
+					var handle = pool.delegateCustom( { sleep: 300 }, function(err, resp) {
+						test.ok( err && (err.code == 'ECANCELED'), "Probe was cancelled: " + (err && err.code) );
+						test.ok( pool.circuit_state == 'half_open', "Cancelled probe did not close circuit: " + pool.circuit_state );
+						test.ok( pool.circuit_probes == 0, "Cancelled probe slot was released: " + pool.circuit_probes );
+						
+						// next probe succeeds and closes the circuit
+						pool.delegateCustom( {}, function(err, resp) {
+							test.ok( !err, "No error from probe request: " + err );
+							test.ok( pool.circuit_state == 'closed', "Circuit is closed: " + pool.circuit_state );
+							
+							delete pool.config.circuit_breaker;
+							test.done();
+						} );
+					} );
+					setTimeout( function() { handle.cancel(); }, 50 );
+				}, 400 );
+			} );
+		},
+		
+		function testCircuitOpenSaturated(test) {
+			// open circuit should fail fast even when the pool is saturated, instead of queueing
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var max_concurrent = pool.config.max_concurrent_requests;
+			var max_queue = pool.config.max_queue_size;
+			
+			pool.config.circuit_breaker = { cooldown_sec: 30 };
+			pool.config.max_concurrent_requests = 1;
+			pool.config.max_queue_size = 5;
+			
+			// occupy the only slot
+			pool.delegateCustom( { sleep: 300 }, function(err, resp) {
+				test.ok( !err, "No error from slow request: " + err );
+				
+				pool.config.max_concurrent_requests = max_concurrent;
+				pool.config.max_queue_size = max_queue;
+				delete pool.config.circuit_breaker;
+				pool.setCircuitState('closed');
+				test.done();
+			} );
+			
+			pool.setCircuitState('open');
+			var sync = true;
+			
+			pool.delegateCustom( {}, function(err, resp) {
+				test.ok( sync, "Request failed fast, without waiting in queue" );
+				test.ok( err && (err.code == "503 Service Unavailable"), "Correct error code: " + (err && err.code) );
+				test.ok( pool.queue.length == 0, "Request was not queued: " + pool.queue.length );
+			} );
+			sync = false;
+		},
+		
+		// crash loop detection
+		function testCrashLoop(test) {
+			// repeated crashes should mark pool as degraded and delay respawns
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var events = [];
+			
+			pool.config.crash_loop_max = 2;
+			pool.crash_times = [];
+			
+			var onCrashLoop = function(event) { events.push(event); };
+			pool.on('crashloop', onCrashLoop);
+			
+			// kill two workers
+			var pids = Object.keys( pool.getWorkers() ).slice(0, 2);
+			pids.forEach( function(pid) { pool.getWorker(pid).child.kill('SIGKILL'); } );
+			
+			async.whilst(
+				function() { return Tools.numKeys(pool.getWorkers()) > 3; },
+				function(callback) { setTimeout( callback, 50 ); },
+				function(err) {
+					test.ok( events.length == 1, "One crashloop event was emitted: " + events.length );
+					test.ok( events[0].backoff_sec == 1, "Correct backoff in event: " + events[0].backoff_sec );
+					test.ok( pool.degraded, "Pool is marked as degraded" );
+					
+					var stats = pool.getStats();
+					test.ok( stats.degraded && (stats.crashes == 2), "Stats show crash loop: " + JSON.stringify(stats) );
+					test.ok( stats.next_spawn_sec > 0, "Stats show respawn delay: " + stats.next_spawn_sec );
+					
+					// tick should not respawn during backoff
+					pool.tick();
+					test.ok( Tools.numKeys(pool.getWorkers()) == 3, "No worker was spawned during backoff" );
+					
+					// after backoff, tick should respawn again
+					pool.next_spawn_time = 0;
+					pool.tick();
+					test.ok( pool.getStates().startup == 1, "Worker was spawned after backoff" );
+					
+					async.whilst(
+						function() { return pool.getStates().active < 5; },
+						function(callback) { setTimeout( function() { pool.tick(); callback(); }, 100 ); },
+						function(err) {
+							pool.removeListener('crashloop', onCrashLoop);
+							pool.config.crash_loop_max = 5;
+							pool.crash_times = [];
+							pool.checkCrashLoop();
+							test.ok( !pool.degraded, "Pool is no longer degraded" );
+							test.done();
+						}
+					); // whilst
+				}
+			); // whilst
+		},
+		
+		function testSpawnFailure(test) {
+			// a worker which fails to spawn should be counted as exactly one crash
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			pool.crash_times = [];
+			
+			pool.config.exec_path = '/nonexistent/path/to/node';
+			pool.addWorker( function(err) {
+				test.ok( !!err, "Got error from failed spawn" );
+				test.ok( pool.crash_times.length == 1, "Failed spawn recorded as one crash: " + pool.crash_times.length );
+				test.ok( Tools.numKeys(pool.getWorkers()) == 5, "Failed worker was not added to pool" );
+				
+				pool.crash_times = [];
+				test.done();
+			} );
+			pool.config.exec_path = '';
+		},
+		
+		// request deadlines
+		function testDeadline(test) {
+			// worker should see the deadline, and slow requests should time out at the deadline
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			pool.delegateCustom( {}, { timeout_ms: 1000 }, function(err, resp) {
+				test.ok( !err, "No error from request with deadline: " + err );
+				test.ok( (resp.time_remaining > 500) && (resp.time_remaining <= 1000), "Worker saw time remaining: " + resp.time_remaining );
+				
+				var started = Date.now();
+				pool.delegateCustom( { sleep: 500 }, { timeout_ms: 100 }, function(err, resp) {
+					var elapsed = Date.now() - started;
+					test.ok( !!err, "Got error from slow request" );
+					test.ok( err.code == "504 Gateway Timeout", "Correct error code: " + err.code );
+					test.ok( elapsed < 400, "Request timed out at its deadline: " + elapsed );
+					
+					// let the slow worker finish up
+					setTimeout( function() { test.done(); }, 500 );
+				} );
+			} );
+		},
+		
+		// client disconnect
+		function testClientDisconnect(test) {
+			// closing the client socket mid-request should abort the request in the worker
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			var onMessage = function(message) {
+				if (!message.data || !message.data.aborted) return;
+				pool.removeListener('message', onMessage);
+				
+				test.ok( message.data.reason == 'abort', "Worker saw abort reason: " + message.data.reason );
+				test.ok( message.data.signal_aborted === true, "Worker abort signal fired" );
+				test.ok( pool.num_active_requests == 0, "Request is no longer active in pool: " + pool.num_active_requests );
+				
+				var workers = pool.getWorkers();
+				for (var pid in workers) {
+					test.ok( Tools.numKeys(workers[pid].requests) == 0, "No requests tracked in worker: " + pid );
+				}
+				test.done();
+			};
+			pool.on('message', onMessage);
+			
+			var req = http.get( 'http://127.0.0.1:3020/pool2?type=json&sleep=1000&report_abort=1' );
+			req.on('error', function(err) {} ); // expected, we are hanging up
+			
+			setTimeout( function() { req.destroy(); }, 250 );
+		},
+		
+		// cancellable custom requests
+		function testCancelCustom(test) {
+			// running and queued requests should be cancellable, via handle or AbortSignal
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			async.series([
+				function(callback) {
+					// cancel running request
+					var started = Date.now();
+					var handle = pool.delegateCustom( { sleep: 500 }, function(err, resp) {
+						test.ok( !!err, "Got error from cancelled request" );
+						test.ok( err.code == 'ECANCELED', "Correct error code: " + err.code );
+						test.ok( Date.now() - started < 400, "Cancelled request called back right away" );
+						test.ok( pool.num_active_requests == 0, "No active requests in pool: " + pool.num_active_requests );
+						callback();
+					} );
+					test.ok( !!handle.id, "Got request id in handle: " + handle.id );
+					setTimeout( function() { test.ok( handle.cancel(), "Cancel returned true" ); }, 50 );
+				},
+				function(callback) {
+					// cancel queued request
+					pool.config.max_concurrent_requests = 1;
+					pool.config.max_queue_size = 5;
+					
+					pool.delegateCustom( { sleep: 200 }, function(err, resp) {
+						test.ok( !err, "First request was not affected: " + err );
+						
+						pool.config.max_concurrent_requests = 50;
+						pool.config.max_queue_size = 0;
+						callback();
+					} );
+					
+					var handle = pool.delegateCustom( {}, function(err, resp) {
+						test.ok( err && (err.code == 'ECANCELED'), "Queued request was cancelled: " + (err && err.code) );
+						test.ok( pool.queue.length == 0, "Request was removed from queue" );
+					} );
+					test.ok( pool.queue.length == 1, "Second request was queued" );
+					handle.cancel();
+				},
+				function(callback) {
+					// cancel via AbortSignal
+					var controller = new AbortController();
+					pool.delegateCustom( { sleep: 500 }, { signal: controller.signal }, function(err, resp) {
+						test.ok( err && (err.code == 'ECANCELED'), "Request was cancelled by signal: " + (err && err.code) );
+						callback();
+					} );
+					setTimeout( function() { controller.abort(); }, 50 );
+				},
+				function(callback) {
+					// cancel after completion does nothing
+					var handle = pool.delegateCustom( {}, function(err, resp) {
+						test.ok( !err, "No error from request: " + err );
+						test.ok( !handle.cancel(), "Cancel returned false after completion" );
+						callback();
+					} );
+				}
+			],
+			function() {
+				// let the workers finish up the cancelled requests
+				setTimeout( function() { test.done(); }, 500 );
+			});
+		},
+		
+		function testPromises(test) {
+			// promise variants of createPool, delegateCustom and removePool
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var pool3 = null;
+			
+			pool.delegateCustom({ foo: 1 }).then( function(resp) {
+				test.ok( !!resp.data, "Got data from promise" );
+				test.ok( resp.data.params.foo == 1, "Correct params echoed back" );
+				test.ok( !!resp.perf, "Got perf from promise" );
+				
+				// errors reject with existing code
+				return pool.delegateCustom({ error: 1 }).then(
+					function() { test.ok( false, "Promise should have rejected" ); },
+					function(err) { test.ok( err.code == "500 Internal Server Error", "Correct error code: " + err.code ); }
+				);
+			} )
+			.then( function() {
+				// cancel via promise
+				var promise = pool.delegateCustom({ sleep: 1000 });
+				test.ok( !!promise.id, "Promise has request id" );
+				setTimeout( function() { promise.cancel(); }, 100 );
+				
+				return promise.then(
+					function() { test.ok( false, "Cancelled promise should have rejected" ); },
+					function(err) { test.ok( err.code == 'ECANCELED', "Correct cancel code: " + err.code ); }
+				);
+			} )
+			.then( function() {
+				// direct to worker
+				var worker = pool.getWorker( Object.keys(pool.getWorkers())[0] );
+				return worker.delegateCustom({ bar: 2 });
+			} )
+			.then( function(resp) {
+				test.ok( resp.data.params.bar == 2, "Correct params from worker promise" );
+				
+				// on-demand pool lifecycle
+				return self.wpm.createPool( 'TestPool3', { script: "child.js", min_children: 1, max_children: 1 } );
+			} )
+			.then( function(pool) {
+				pool3 = pool;
+				test.ok( pool === self.wpm.getPool('TestPool3'), "createPool resolved with pool" );
+				test.ok( Tools.numKeys(pool.getWorkers()) == 1, "Correct number of workers" );
+				
+				return self.wpm.createPool( 'TestPool3', { script: "child.js" } ).then(
+					function() { test.ok( false, "Duplicate createPool should have rejected" ); },
+					function(err) { test.ok( !!err, "Duplicate pool rejected" ); }
+				);
+			} )
+			.then( function() {
+				var pids = Object.keys( pool3.getWorkers() );
+				return self.wpm.removePool('TestPool3').then( function() {
+					test.ok( !self.wpm.getPool('TestPool3'), "Pool is really gone" );
+					pids.forEach( function(pid) {
+						test.ok( !self.isProcessRunning(pid), "PID is dead: " + pid );
+					} );
+				} );
+			} )
+			.then( function() {
+				// pool with no children starts up synchronously
+				return self.wpm.createPool( 'TestPool4', { script: "child.js", min_children: 0, max_children: 1 } );
+			} )
+			.then( function(pool) {
+				test.ok( !!pool && (pool === self.wpm.getPool('TestPool4')), "createPool resolved with empty pool" );
+				return self.wpm.removePool('TestPool4');
+			} )
+			.catch( function(err) {
+				test.ok( false, "Unexpected promise rejection: " + err );
+			} )
+			.then( function() {
+				// let the worker finish up the cancelled request
+				setTimeout( function() { test.done(); }, 1000 );
+			} );
+		},
+		
+		function testAsyncHandlers(test) {
+			// worker hooks returning promises (async functions)
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			async.series([
+				function(callback) {
+					// async URI handler resolving to JSON
+					request.json( 'http://127.0.0.1:3020/pool2/childasync', false, {}, function(err, resp, json) {
+						test.ok( !err, "No error from PixlRequest: " + err );
+						test.ok( resp.statusCode == 200, "Got 200 response: " + resp.statusCode );
+						test.ok( json && json.async, "Got async JSON response" );
+						callback();
+					} );
+				},
+				function(callback) {
+					// async URI handler resolving to [status, headers, body]
+					request.get( 'http://127.0.0.1:3020/pool2/childasync?tuple=1', function(err, resp, data) {
+						test.ok( !err, "No error from PixlRequest: " + err );
+						test.ok( resp.statusCode == 201, "Got 201 response: " + resp.statusCode );
+						test.ok( resp.headers['x-async'] == "1", "Correct custom header: " + resp.headers['x-async'] );
+						test.ok( data.toString() == "Created asynchronously", "Correct body: " + data );
+						callback();
+					} );
+				},
+				function(callback) {
+					// async URI handler rejecting
+					request.get( 'http://127.0.0.1:3020/pool2/childasync?error=1', function(err, resp, data) {
+						test.ok( !err, "No error from PixlRequest: " + err );
+						test.ok( resp.statusCode == 500, "Got 500 response: " + resp.statusCode );
+						test.ok( !!data.toString().match(/SIMULATING ASYNC ERROR/), "Correct error body: " + data );
+						callback();
+					} );
+				},
+				function(callback) {
+					// async custom handler
+					pool.delegateCustom( { async: 1 }, function(err, resp) {
+						test.ok( !err, "No error from async custom request: " + err );
+						test.ok( resp && resp.async, "Got async custom response" );
+						callback();
+					} );
+				},
+				function(callback) {
+					// async custom handler rejecting
+					pool.delegateCustom( { async: 1, error: 1 }, function(err, resp) {
+						test.ok( !!err, "Got error from async custom request" );
+						test.ok( err && (err.code == "500 Internal Server Error"), "Correct error code: " + (err && err.code) );
+						test.ok( err && !!err.message.match(/SIMULATING ASYNC CUSTOM ERROR/), "Correct error message: " + (err && err.message) );
+						callback();
+					} );
+				}
+			],
+			function() {
+				test.done();
+			});
+		},
+		
+		function testRPC(test) {
+			// named RPC methods registered in worker
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			async.series([
+				function(callback) {
+					pool.call( 'add', { a: 2, b: 3 }, function(err, resp, perf) {
+						test.ok( !err, "No error from RPC call: " + err );
+						test.ok( resp && (resp.sum == 5), "Correct RPC result: " + (resp && resp.sum) );
+						test.ok( !!perf, "Got perf from RPC call" );
+						callback();
+					} );
+				},
+				function(callback) {
+					// async method, via promise
+					pool.call( 'sleepEcho', { foo: "bar" } ).then( function(resp) {
+						test.ok( resp.data.echo.foo == "bar", "Correct echo from async method" );
+						test.ok( resp.data.method == "sleepEcho", "Method name passed to worker: " + resp.data.method );
+						callback();
+					}, function(err) {
+						test.ok( false, "Unexpected error from async method: " + err );
+						callback();
+					} );
+				},
+				function(callback) {
+					// unknown method
+					pool.call( 'nope', {}, function(err, resp) {
+						test.ok( !!err, "Got error for unknown method" );
+						test.ok( err && (err.code == "404 Not Found"), "Correct error code: " + (err && err.code) );
+						test.ok( err && !!err.message.match(/Unknown method/), "Correct error message: " + (err && err.message) );
+						callback();
+					} );
+				},
+				function(callback) {
+					// per-method timeout
+					pool.config.method_timeouts = { sleepEcho: 0.2 };
+					
+					pool.call( 'sleepEcho', { sleep: 1000 }, function(err, resp) {
+						pool.config.method_timeouts = null;
+						test.ok( !!err, "Got error for slow method" );
+						test.ok( err && (err.code == "504 Gateway Timeout"), "Correct error code: " + (err && err.code) );
+						callback();
+					} );
+				}
+			],
+			function() {
+				var stats = pool.getMethodStats();
+				test.ok( stats.add && (stats.add.count == 1), "Correct call count for add" );
+				test.ok( stats.add && (stats.add.errors == 0), "No errors for add" );
+				test.ok( stats.sleepEcho && (stats.sleepEcho.count == 2), "Correct call count for sleepEcho" );
+				test.ok( stats.sleepEcho && (stats.sleepEcho.timeouts == 1), "Correct timeout count for sleepEcho" );
+				test.ok( stats.nope && (stats.nope.errors == 1), "Unknown method counted as error" );
+				test.ok( !!pool.getStats().methods.add, "Method stats included in pool stats" );
+				
+				// let the worker finish up the timed out request
+				setTimeout( function() { test.done(); }, 1000 );
+			});
+		},
+		
+		function testRemoteErrors(test) {
+			// structured errors rebuilt from worker
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			async.series([
+				function(callback) {
+					pool.delegateCustom( { error: 1, error_code: 'ENOENT' }, function(err) {
+						test.ok( !!err, "Got error from custom request" );
+						test.ok( err instanceof Error, "Error is an Error instance" );
+						test.ok( err.code == 'ENOENT', "Original error code preserved: " + err.code );
+						test.ok( err.name == 'CustomError', "Original error name preserved: " + err.name );
+						test.ok( err.status == "500 Internal Server Error", "HTTP status included: " + err.status );
+						test.ok( err.retryable === true, "Custom property preserved" );
+						test.ok( !err.meta, "Non-primitive property skipped" );
+						test.ok( !!err.message.match(/^SIMULATING CUSTOM ERROR/), "Original message preserved: " + err.message );
+						test.ok( !!pool.getWorker(err.workerPid), "Correct worker pid: " + err.workerPid );
+						test.ok( !!err.remoteStack.match(/child\.js/), "Remote stack included" );
+						callback();
+					} );
+				},
+				function(callback) {
+					// error without code falls back to HTTP status
+					var worker = pool.getWorker( Object.keys(pool.getWorkers())[0] );
+					worker.delegateCustom( { error: 1 }, function(err) {
+						test.ok( !!err, "Got error from worker custom request" );
+						test.ok( err.code == "500 Internal Server Error", "Fallback error code: " + err.code );
+						test.ok( err.workerPid == worker.pid, "Correct worker pid: " + err.workerPid );
+						callback();
+					} );
+				}
+			],
+			function() {
+				test.done();
+			});
+		},
+		
+		function testAutoScalePolicies(test) {
+			// pluggable autoscale policies
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			// built-in policies, calculated from synthetic metrics
+			pool.config.min_children = 1;
+			pool.config.max_children = 10;
+			pool.config.autoscale_targets = { queue: 2, latency_ms: 1000, rate: 10 };
+			
+			var desired = function(policy, metrics) {
+				pool.config.autoscale_policy = policy;
+				return pool.getDesiredChildren( Tools.mergeHashes({
+					num_busy: 0, num_working: 0, queue_size: 0, latency_p95: 0, arrival_rate: 0
+				}, metrics) );
+			};
+			
+			test.ok( desired('busy', { num_busy: 3 }) == 4, "Busy policy adds one spare" );
+			test.ok( desired('queue', { num_working: 2, queue_size: 5 }) == 5, "Queue policy" );
+			test.ok( desired('latency', { num_working: 4, latency_p95: 1500 }) == 6, "Latency policy" );
+			test.ok( desired('rate', { arrival_rate: 25 }) == 3, "Rate policy" );
+			test.ok( desired(['busy', 'rate'], { num_busy: 1, arrival_rate: 45 }) == 5, "Multiple policies use highest count" );
+			test.ok( desired(function() { return 100; }, {}) == 10, "Desired count clamped to max_children" );
+			test.ok( desired(function() { return 0; }, {}) == 1, "Desired count clamped to min_children" );
+			
+			pool.config.min_children = 5;
+			pool.config.max_children = 5;
+			pool.config.autoscale_targets = null;
+			pool.config.autoscale_policy = 'busy';
+			
+			// arrival rate tracking
+			var arrivals = pool.num_arrivals;
+			var resume = this.pauseRecycling(pool);
+			
+			async.times( 3,
+				function(idx, callback) {
+					pool.delegateCustom( {}, callback );
+				},
+				function(err) {
+					test.ok( !err, "No error from custom requests: " + err );
+					test.ok( pool.num_arrivals - arrivals == 3, "Arrivals counted: " + (pool.num_arrivals - arrivals) );
+					
+					pool.updateArrivalRate( Tools.timeNow() - 1 );
+					pool.num_arrivals = 10;
+					pool.updateArrivalRate( Tools.timeNow() );
+					test.ok( pool.arrival_rate > 0, "Arrival rate calculated: " + pool.arrival_rate );
+					
+					// custom policy function drives tick
+					var got_metrics = null;
+					pool.config.max_children = 6;
+					pool.config.autoscale_policy = function(metrics) {
+						got_metrics = metrics;
+						return 6;
+					};
+					
+					pool.once('autoscale', function(message) {
+						test.ok( message.cmd == 'add', "Correct autoscale message: " + message.cmd );
+						test.ok( message.desired == 6, "Correct desired count: " + message.desired );
+					});
+					pool.tick();
+					
+					test.ok( !!got_metrics, "Policy function received metrics" );
+					test.ok( got_metrics.num_children == 5, "Correct num_children metric: " + got_metrics.num_children );
+					test.ok( "queue_size" in got_metrics, "Got queue_size metric" );
+					test.ok( "latency_p95" in got_metrics, "Got latency_p95 metric" );
+					test.ok( "arrival_rate" in got_metrics, "Got arrival_rate metric" );
+					test.ok( Tools.numKeys(pool.getWorkers()) == 6, "Worker added by policy" );
+					
+					async.whilst(
+						function() { return (pool.getStates().active != 6); },
+						function(callback) { setTimeout( callback, 100 ); },
+						function() {
+							// scale back down
+							pool.config.autoscale_policy = function(metrics) { return 5; };
+							
+							pool.once('autoscale', function(message) {
+								test.ok( message.cmd == 'remove', "Correct autoscale message: " + message.cmd );
+							});
+							pool.tick();
+							
+							async.whilst(
+								function() { return (Tools.numKeys(pool.getWorkers()) != 5); },
+								function(callback) { setTimeout( callback, 100 ); },
+								function() {
+									pool.config.max_children = 5;
+									pool.config.autoscale_policy = 'busy';
+									resume();
+									test.done();
+								}
+							);
+						}
+					);
+				}
+			);
+		},
+		
+		function testLatencyWindow(test) {
+			// latency policy should only consider recent samples
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var resume = this.pauseRecycling(pool);
+			
+			var samples = pool.latency_samples;
+			var times = pool.latency_times;
+			var latency_idx = pool.latency_idx;
+			var now = Tools.timeNow();
+			
+			// one slow burst long ago, one fast request just now
+			pool.latency_samples = [ 5000, 5000, 10 ];
+			pool.latency_times = [ now - 3600, now - 3600, now ];
+			pool.latency_idx = 3;
+			
+			test.ok( pool.getLatencyPercentile(95) == 5000, "All samples without window: " + pool.getLatencyPercentile(95) );
+			test.ok( pool.getLatencyPercentile(95, 60) == 10, "Stale samples excluded by window: " + pool.getLatencyPercentile(95, 60) );
+			
+			var got_metrics = null;
+			pool.config.autoscale_policy = function(metrics) {
+				got_metrics = metrics;
+				return metrics.num_children;
+			};
+			pool.tick();
+			test.ok( got_metrics && (got_metrics.latency_p95 == 10), "Policy metrics use latency window: " + (got_metrics && got_metrics.latency_p95) );
+			
+			pool.config.autoscale_policy = 'busy';
+			pool.latency_samples = samples;
+			pool.latency_times = times;
+			pool.latency_idx = latency_idx;
+			resume();
+			test.done();
+		},
+		
+		function testAutoScaleStabilization(test) {
+			// scale windows, min interval and max step
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var now = Tools.timeNow();
+			
+			// stabilized desired counts
+			pool.config.scale_up_window_sec = 60;
+			pool.config.scale_down_window_sec = 30;
+			pool.scale_history = [ { time: now - 45, desired: 2 }, { time: now - 20, desired: 8 } ];
+			pool.scale_history_start = now - 60;
+			
+			var stable = pool.getStableDesired( now, 6, 5 );
+			test.ok( stable.up == 2, "Scale up uses lowest count in window: " + stable.up );
+			test.ok( stable.down == 8, "Scale down uses highest count in window: " + stable.down );
+			
+			// fresh history does not span the windows yet, so hold at current count
+			pool.scale_history = [];
+			stable = pool.getStableDesired( now, 9, 5 );
+			test.ok( stable.up == 5, "No scale up before history spans window: " + stable.up );
+			
+			pool.scale_history = [];
+			stable = pool.getStableDesired( now, 2, 5 );
+			test.ok( stable.down == 5, "No scale down before history spans window: " + stable.down );
+			
+			// once history spans the windows, desired count applies
+			stable = pool.getStableDesired( now + 61, 9, 5 );
+			test.ok( stable.up == 9, "Scale up after history spans window: " + stable.up );
+			
+			pool.config.scale_up_window_sec = 0;
+			pool.config.scale_down_window_sec = 0;
+			pool.scale_history = [];
+			
+			// so all workers stay active during ticks
+			var resume = this.pauseRecycling(pool);
+			
+			// add multiple workers per tick
+			var num_events = 0;
+			var onAutoScale = function(message) { num_events++; };
+			pool.on('autoscale', onAutoScale);
+			
+			pool.config.max_children = 7;
+			pool.config.max_concurrent_launches = 2;
+			pool.config.scale_max_step = 2;
+			pool.config.autoscale_policy = function() { return 7; };
+			pool.tick();
+			
+			test.ok( num_events == 2, "Added 2 workers in one tick: " + num_events );
+			test.ok( Tools.numKeys(pool.getWorkers()) == 7, "Correct number of workers" );
+			
+			async.whilst(
+				function() { return (pool.getStates().active != 7); },
+				function(callback) { setTimeout( callback, 100 ); },
+				function() {
+					// scale down window holds the higher count
+					num_events = 0;
+					pool.config.scale_down_window_sec = 60;
+					pool.config.autoscale_policy = function() { return 5; };
+					pool.tick();
+					test.ok( num_events == 0, "No scale down within window" );
+					
+					// min interval between scale events
+					pool.config.scale_down_window_sec = 0;
+					pool.config.scale_min_interval_sec = 60;
+					pool.tick();
+					test.ok( num_events == 0, "No scale down within min interval" );
+					
+					// now remove 2 at once
+					pool.config.scale_min_interval_sec = 0;
+					pool.tick();
+					test.ok( num_events == 2, "Removed 2 workers in one tick: " + num_events );
+					
+					async.whilst(
+						function() { return (Tools.numKeys(pool.getWorkers()) != 5); },
+						function(callback) { setTimeout( callback, 100 ); },
+						function() {
+							pool.removeListener('autoscale', onAutoScale);
+							pool.config.max_children = 5;
+							pool.config.max_concurrent_launches = 1;
+							pool.config.scale_max_step = 1;
+							pool.config.autoscale_policy = 'busy';
+							pool.scale_history = [];
+							pool.last_scale_time = 0;
+							resume();
+							test.done();
+						}
+					);
+				}
+			);
+		},
+		
+		function testSchedule(test) {
+			// scheduled min/max children
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			
+			pool.config.schedule = [
+				{ when: "* 7-9 * * 1-5", min_children: 8, max_children: 10 },
+				{ when: "* * * * 0,6", max_children: 3 }
+			];
+			
+			var limits = pool.getScaleLimits( new Date(2026, 9, 19, 8, 0) ); // monday morning
+			test.ok( (limits.min_children == 8) && (limits.max_children == 10), "Weekday rule applied: " + JSON.stringify(limits) );
+			test.ok( limits.rule == 0, "Correct rule index: " + limits.rule );
+			
+			limits = pool.getScaleLimits( new Date(2026, 9, 18, 12, 0) ); // sunday
+			test.ok( (limits.min_children == 5) && (limits.max_children == 5), "Max raised to min: " + JSON.stringify(limits) );
+			test.ok( limits.rule == 1, "Correct rule index: " + limits.rule );
+			
+			limits = pool.getScaleLimits( new Date(2026, 9, 19, 12, 0) ); // monday noon
+			test.ok( (limits.min_children == 5) && (limits.max_children == 5) && (limits.rule == -1), "No rule in effect: " + JSON.stringify(limits) );
+			
+			pool.config.schedule = [ { when: "bogus", min_children: 9 } ];
+			test.ok( pool.getScaleLimits().rule == -1, "Invalid rule is skipped" );
+			
+			// pre-scale via tick
+			var resume = this.pauseRecycling(pool);
+			var events = [];
+			var onSchedule = function(limits) { events.push(limits); };
+			pool.on('schedule', onSchedule);
+			
+			pool.config.max_concurrent_launches = 2;
+			pool.config.schedule = [ { when: "* * * * *", min_children: 7, max_children: 7 } ];
+			pool.tick();
+			
+			test.ok( events.length == 1, "Got schedule event" );
+			test.ok( events[0] && (events[0].min_children == 7), "Correct min_children in event" );
+			test.ok( Tools.numKeys(pool.getWorkers()) == 7, "Added 2 workers at once, within max_concurrent_launches" );
+			test.ok( pool.getStats().scale_limits.min_children == 7, "Scale limits in stats" );
+			
+			async.whilst(
+				function() { return (pool.getStates().active != 7); },
+				function(callback) { setTimeout( callback, 100 ); },
+				function() {
+					// schedule ends, scale back down gradually
+					pool.config.schedule = null;
+					pool.tick();
+					
+					test.ok( events.length == 2, "Got schedule end event" );
+					test.ok( events[1] && (events[1].rule == -1), "Schedule end event has no rule" );
+					test.ok( pool.getStates().active == 6, "Removed one worker per tick" );
+					
+					async.whilst(
+						function() {
+							pool.tick();
+							return (Tools.numKeys(pool.getWorkers()) != 5);
+						},
+						function(callback) { setTimeout( callback, 100 ); },
+						function() {
+							pool.removeListener('schedule', onSchedule);
+							pool.config.max_concurrent_launches = 1;
+							resume();
+							test.done();
+						}
+					);
+				}
+			);
+		},
+		
+		function testScheduleMinInterval(test) {
+			// scheduled pre-scaling should not wait for scale_min_interval_sec
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var resume = this.pauseRecycling(pool);
+			
+			pool.config.scale_min_interval_sec = 60;
+			pool.config.max_concurrent_launches = 2;
+			pool.last_scale_time = Tools.timeNow();
+			
+			pool.config.schedule = [ { when: "* * * * *", min_children: 7, max_children: 7 } ];
+			pool.tick();
+			test.ok( Tools.numKeys(pool.getWorkers()) == 7, "Added 2 workers within min interval: " + Tools.numKeys(pool.getWorkers()) );
+			
+			async.whilst(
+				function() { return (pool.getStates().active != 7); },
+				function(callback) { setTimeout( callback, 100 ); },
+				function() {
+					// scaling down still honors the min interval
+					pool.config.schedule = null;
+					pool.tick();
+					test.ok( pool.getStates().active == 7, "No workers removed within min interval" );
+					
+					pool.config.scale_min_interval_sec = 0;
+					async.whilst(
+						function() {
+							pool.tick();
+							return (Tools.numKeys(pool.getWorkers()) != 5);
+						},
+						function(callback) { setTimeout( callback, 100 ); },
+						function() {
+							pool.config.max_concurrent_launches = 1;
+							pool.last_scale_time = 0;
+							resume();
+							test.done();
+						}
+					);
+				}
+			);
+		},
+		
+		function testMemoryRecycling(test) {
+			// recycle workers exceeding memory limits
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var resume = this.pauseRecycling(pool);
+			
+			var restarts = [];
+			var onRestart = function(worker, reason) { restarts.push({ pid: worker.pid, reason: reason }); };
+			pool.on('restart', onRestart);
+			
+			async.whilst(
+				function() {
+					// wait for all workers to report memory usage
+					var workers = pool.getWorkers();
+					return !!Object.keys(workers).filter( function(pid) { return !workers[pid].memory; } ).length;
+				},
+				function(callback) { setTimeout( callback, 100 ); },
+				function() {
+					var stats = pool.getStats();
+					var pid = Tools.firstKey( stats.workers );
+					test.ok( Tools.numKeys(stats.workers) == 5, "Worker stats for all workers" );
+					test.ok( stats.workers[pid].rss_mb > 0, "Worker RSS in stats: " + stats.workers[pid].rss_mb );
+					test.ok( stats.workers[pid].heap_mb > 0, "Worker heap in stats: " + stats.workers[pid].heap_mb );
+					
+					// limit well above usage, nothing happens
+					pool.config.max_child_rss_mb = 100000;
+					pool.tick();
+					test.ok( restarts.length == 0, "No restarts under memory limit" );
+					
+					// any worker exceeds this
+					pool.config.max_child_rss_mb = 1;
+					pool.tick();
+					
+					test.ok( restarts.length == 1, "One worker recycled: " + restarts.length );
+					test.ok( restarts[0] && (restarts[0].reason == 'memory'), "Restart reason is memory" );
+					test.ok( pool.getStates().shutdown == 1, "Worker is shutting down" );
+					
+					pool.config.max_child_rss_mb = 0;
+					
+					async.whilst(
+						function() {
+							pool.tick();
+							return (pool.getStates().active != 5) || (Tools.numKeys(pool.getWorkers()) != 5);
+						},
+						function(callback) { setTimeout( callback, 100 ); },
+						function() {
+							test.ok( !pool.getWorker(restarts[0].pid), "Recycled worker is gone" );
+							test.ok( restarts.length == 1, "No additional restarts" );
+							
+							pool.removeListener('restart', onRestart);
+							resume();
+							test.done();
+						}
+					);
+				}
+			);
+		},
+		
+		function testCPUSampling(test) {
+			// sample cpu per worker, cpu policy and stuck worker recycling
+			var self = this;
+			var pool = this.wpm.getPool('TestPool2');
+			var resume = this.pauseRecycling(pool);
+			
+			test.ok( pool.runScalePolicy('cpu', { num_active: 4, cpu_pct: 105 }) == 6, "CPU policy scales with usage over target" );
+			test.ok( pool.runScalePolicy('cpu', { num_active: 4, cpu_pct: 0 }) == 0, "CPU policy with idle workers" );
+			
+			// fallback to child reported cpu time
+			var worker = pool.getWorker( Tools.firstKey(pool.getWorkers()) );
+			var proc_stat = worker.proc_stat;
+			worker.proc_stat = false;
+			worker.cpu_sec = 1;
+			worker.cpu_time = Tools.timeNow() - 1;
+			worker.handleChildResponse({ cmd: 'usage', memory: worker.memory, cpu: { user: 1250000, system: 250000 } });
+			test.ok( (worker.cpu_pct > 40) && (worker.cpu_pct <= 50), "CPU usage from child report: " + worker.cpu_pct );
+			
+			worker.proc_stat = proc_stat;
+			worker.cpu_time = 0;
+			worker.cpu_pct = 0;
+			
+			var restarts = [];
+			var onRestart = function(worker, reason) { restarts.push({ pid: worker.pid, reason: reason }); };
+			pool.on('restart', onRestart);
+			
+			pool.config.max_idle_cpu_pct = 50;
+			pool.config.max_idle_cpu_sec = 1;
+			
+			pool.delegateCustom( { spin_ms: 8000 }, function(err, user_resp) {
+				test.ok( !err, "No error from custom request: " + err );
+				var spin_pid = user_resp.pid;
+				var max_cpu = 0;
+				var start = Tools.timeNow();
+				
+				async.whilst(
+					function() {
+						pool.tick();
+						var stats = pool.getStats();
+						if (stats.workers[spin_pid]) max_cpu = Math.max( max_cpu, stats.workers[spin_pid].cpu_pct );
+						return !restarts.length && (Tools.timeNow() - start < 7);
+					},
+					function(callback) { setTimeout( callback, 200 ); },
+					function() {
+						test.ok( max_cpu >= 50, "Spinning worker CPU usage sampled: " + max_cpu );
+						test.ok( typeof(pool.getStats().cpu_pct) == 'number', "Average CPU in stats" );
+						test.ok( restarts.length == 1, "One worker recycled: " + restarts.length );
+						test.ok( restarts[0] && (restarts[0].pid == spin_pid), "Spinning worker was recycled" );
+						test.ok( restarts[0] && (restarts[0].reason == 'cpu'), "Restart reason is cpu" );
+						
+						pool.config.max_idle_cpu_pct = 0;
+						pool.config.max_idle_cpu_sec = 30;
+						
+						async.whilst(
+							function() {
+								pool.tick();
+								return (pool.getStates().active != 5) || (Tools.numKeys(pool.getWorkers()) != 5);
+							},
+							function(callback) { setTimeout( callback, 100 ); },
+							function() {
+								pool.removeListener('restart', onRestart);
+								resume();
+								test.done();
+							}
+						);
+					}
+				);
+			} );
 		}
 		
 	], // tests
@@ -1517,6 +2990,26 @@ module.exports = {
 		return count;
 	},
 	
+	pauseRecycling: function(pool) {
+		// disable auto maint and max requests per child, so ticks only autoscale
+		// returns function to restore previous settings
+		var auto_maint = pool.config.auto_maint;
+		var max_requests = pool.config.max_requests_per_child;
+		
+		var setMaxRequests = function(value) {
+			pool.config.max_requests_per_child = value;
+			for (var pid in pool.getWorkers()) pool.getWorker(pid).max_requests_per_child = value;
+		};
+		
+		pool.config.auto_maint = false;
+		setMaxRequests(0);
+		
+		return function() {
+			pool.config.auto_maint = auto_maint;
+			setMaxRequests(max_requests);
+		};
+	},
+	
 	isProcessRunning: function(pid) {
 		// utility method, ping pid and return true/false
 		try {
@@ -8,6 +8,7 @@ var zlib = require('zlib');
 var Perf = require('pixl-perf');
 var Tools = require("pixl-tools");
 var BinaryStream = require('./stream.js');
+var RemoteError = require('./remote_error.js');
 
 // catch SIGINT and ignore (parent handles these)
 process.on('SIGINT', function() {});
@@ -18,9 +19,11 @@ var worker = {
 	config: null,
 	user_obj: null,
 	num_active_requests: 0,
+	requests: {},
 	request_maint: false,
 	request_shutdown: false,
 	uriHandlers: [],
+	methods: {},
 	
 	run: function() {
 		// startup child process
@@ -74,6 +77,10 @@ var worker = {
 				this.handleRequest(req);
 			break;
 			
+			case 'abort':
+				this.abortRequest(req.id);
+			break;
+			
 			case 'maint':
 				this.maint(req.data || true);
 			break;
@@ -153,17 +160,19 @@ var worker = {
 		
 		// call user startup
 		if (this.user_obj.startup) {
-			this.user_obj.startup( this, function(err) {
+			this.callUser( this.user_obj, 'startup', [this], '', function(err) {
 				if (err) throw err;
 				else {
 					self.logDebug(3, "Worker starting up");
 					self.sendCommand('startup_complete');
+					self.startUsageReports();
 				}
 			} );
 		}
 		else {
 			this.logDebug(3, "Worker starting up");
 			this.sendCommand('startup_complete');
+			this.startUsageReports();
 		}
 	},
 	
@@ -212,14 +221,52 @@ var worker = {
 			}
 		} // request cmd
 		
+		// absolute deadline (epoch ms) sent by parent, so handlers can stop early
+		if (!req.deadline) req.deadline = 0;
+		req.timeRemaining = function() {
+			// milliseconds left until deadline, or Infinity if there is none
+			return req.deadline ? Math.max( 0, req.deadline - Date.now() ) : Infinity;
+		};
+		
+		// support for abort notification (timeout or client disconnect), via signal or hook
+		var abort_ctrl = (typeof(AbortController) != 'undefined') ? new AbortController() : null;
+		var abort_handlers = [];
+		req.aborted = false;
+		req.signal = abort_ctrl ? abort_ctrl.signal : null;
+		req.onAbort = function(handler) {
+			if (req.aborted) process.nextTick( handler, req.abortReason );
+			else abort_handlers.push( handler );
+		};
+		
+		// parent is no longer waiting for the response, so stop tracking request
+		var abandoned = false;
+		var abandonRequest = function(reason) {
+			if (abandoned) return;
+			abandoned = true;
+			if (timer) { clearTimeout(timer); timer = null; }
+			delete self.requests[ req.id ];
+			
+			req.aborted = true;
+			req.abortReason = reason;
+			if (abort_ctrl) abort_ctrl.abort( reason );
+			abort_handlers.forEach( function(handler) { handler(reason); } );
+			
+			// done with this request
+			self.num_active_requests--;
+			
+			// if we're idle now, check for pending maint / shutdown requests
+			if (!self.num_active_requests) {
+				if (self.request_shutdown) self.shutdown();
+				else if (self.request_maint) self.maint(self.request_maint);
+			}
+		};
+		this.requests[ req.id ] = { req: req, abort: abandonRequest };
+		
 		// handle request timeout in worker as well
-		var timed_out = false;
-		var timer = ((req.cmd == 'request') && this.config.request_timeout_sec) ? setTimeout( function() {
-			timed_out = true;
+		var timer = req.deadline ? setTimeout( function() {
 			timer = null;
-			req.aborted = true;
 			
-			self.logError('timeout', "Request timed out: " + req.uri + " (" + self.config.request_timeout_sec + " sec)", {
+			self.logError('timeout', "Request timed out: " + (req.uri || (req.method ? req.method + '()' : '(custom)')) + " (deadline exceeded)", {
 				id: req.id,
 				method: req.method,
 				url: req.uri,
@@ -228,18 +275,13 @@ var worker = {
 				perf: req.perf.metrics()
 			} );
 			
-			// done with this request
-			self.num_active_requests--;
-			
-			// if we're idle now, check for pending maint / shutdown requests
-			if (!self.num_active_requests) {
-				if (self.request_shutdown) self.shutdown();
-				else if (self.request_maint) self.maint(self.request_maint);
-			}
-		}, this.config.request_timeout_sec * 1000 ) : null;
+			abandonRequest('timeout');
+		}, req.timeRemaining() ) : null;
 		
 		// finish response and send to stdio pipe
 		var finishResponse = function() {
+			delete self.requests[ req.id ];
+			
 			// copy perf metrics over to res
 			if (!res.perf) res.perf = req.perf.metrics();
 			
@@ -262,12 +304,13 @@ var worker = {
 			send: function(chunk) {
 				// send SSE message, e.g. { id:1, event:update, data:{foo:bar} }
 				if (!chunk || !chunk.data) throw new Error("Must pass chunk with data to sse.send()");
+				if (abandoned) return; // client is gone
 				self.sendCommand('sse', { id: req.id, chunk });
 				req.sse.enabled = true;
 			},
 			end: function() {
 				// signal end of SSE request
-				if (timed_out || !req.sse.enabled) return;
+				if (abandoned || !req.sse.enabled) return;
 				if (timer) { clearTimeout(timer); timer = null; }
 				res.type = 'sse';
 				res.body = '';
@@ -277,9 +320,9 @@ var worker = {
 		
 		// handle response back from user obj
 		var handleResponse = function() {
-			// check for timeout first
+			// check for timeout or abort first
 			if (req.sse.enabled) return req.sse.end();
-			if (timed_out) return;
+			if (abandoned) return;
 			if (timer) { clearTimeout(timer); timer = null; }
 			
 			// check for error as solo arg
@@ -291,6 +334,9 @@ var worker = {
 					code: 500,
 					msg: res.body
 				};
+				
+				// include full error details for custom requests, so parent can rebuild it
+				if (req.cmd == 'custom') res.error = RemoteError.serialize( arguments[0] );
 			}
 			else if (req.cmd == 'custom') {
 				// custom request, pass body through
@@ -397,9 +443,82 @@ var worker = {
 		}; // handleResponse
 		
 		// call custom URI handler, or the generic user_obj.handler()
-		if (handler) handler.callback( req, handleResponse );
-		else if (req.cmd == 'custom') this.user_obj.custom( req, handleResponse );
-		else this.user_obj.handler( req, handleResponse );
+		// or named RPC method for custom requests
+		if (handler) this.callUser( handler, 'callback', [req], 'web', handleResponse );
+		else if ((req.cmd == 'custom') && req.method) this.callMethod( req, handleResponse );
+		else if (req.cmd == 'custom') this.callUser( this.user_obj, 'custom', [req], 'custom', handleResponse );
+		else this.callUser( this.user_obj, 'handler', [req], 'web', handleResponse );
+	},
+	
+	callMethod: function(req, callback) {
+		// call named RPC method registered via addMethod()
+		var method = this.methods[ req.method ];
+		
+		if (!method) {
+			var res = req.response;
+			res.status = "404 Not Found";
+			res.body = "404 Not Found: Unknown method: " + req.method;
+			res.logError = {
+				code: 404,
+				msg: res.body
+			};
+			return callback();
+		}
+		
+		this.callUser( method, 'callback', [req], 'custom', callback );
+	},
+	
+	callUser: function(obj, name, args, type, callback) {
+		// call user hook with callback, which may also return a promise (i.e. async function)
+		// resolved value is treated like callback args for the type (web, custom), rejection like an error
+		var self = this;
+		var func = obj[name];
+		var done = false;
+		
+		var finish = function() {
+			// guard against hooks firing callback more than once, or both calling back and resolving
+			if (done) return self.logDebug(5, "Ignoring duplicate callback from user " + name + "()");
+			done = true;
+			callback.apply( null, arguments );
+		};
+		
+		var result = func.apply( obj, args.concat([ finish ]) );
+		if (!result || (typeof(result.then) != 'function')) return;
+		
+		// if hook declares the callback arg, it may still call it, so ignore an empty resolve
+		var has_callback = (func.length > args.length);
+		
+		result.then(
+			function(value) {
+				if ((value === undefined) && has_callback) return;
+				
+				// escape the promise chain, so errors thrown in callback are not swallowed
+				process.nextTick( function() {
+					if (value instanceof Error) finish( value );
+					else if (value === undefined) finish();
+					else if (type == 'custom') finish( null, value );
+					else if (type == 'web') {
+						// [status, headers, body], JSON object or Buffer
+						if (Array.isArray(value) && (value.length == 3) && (typeof(value[0]) == 'string')) finish.apply( null, value );
+						else finish( value );
+					}
+					else finish();
+				} );
+			},
+			function(err) {
+				if (!(err instanceof Error)) err = new Error( "" + err );
+				process.nextTick( function() { finish( err ); } );
+			}
+		);
+	},
+	
+	abortRequest: function(id) {
+		// parent aborted request (i.e. client disconnected), notify handler and stop tracking it
+		var info = this.requests[id];
+		if (!info) return;
+		
+		this.logDebug(8, "Request aborted by parent: " + (info.req.uri || '(custom)'), { id: id });
+		info.abort('abort');
 	},
 	
 	handleMessage: function(req) {
@@ -533,7 +652,7 @@ var worker = {
 		
 		if (this.user_obj.maint) {
 			// user has a maint() function, so call that
-			this.user_obj.maint( user_data, function(err) {
+			this.callUser( this.user_obj, 'maint', [user_data], '', function(err) {
 				if (err) throw err;
 				else self.sendCommand('maint_complete');
 			} );
@@ -549,6 +668,21 @@ var worker = {
 		}
 	},
 	
+	startUsageReports: function() {
+		// periodically report resource usage to parent, so it can recycle bloated workers
+		var self = this;
+		if (!this.config.usage_report_sec) return;
+		
+		this.reportUsage();
+		this.usage_timer = setInterval( function() { self.reportUsage(); }, this.config.usage_report_sec * 1000 );
+		this.usage_timer.unref();
+	},
+	
+	reportUsage: function() {
+		// send current memory and cpu usage to parent
+		this.sendCommand('usage', { memory: process.memoryUsage(), cpu: process.cpuUsage() });
+	},
+	
 	sendCommand: function(cmd, data) {
 		// send command back to parent
 		// merge cmd in with data (clobbers!)
@@ -586,6 +720,19 @@ var worker = {
 		} );
 	},
 	
+	addMethod: function(name, callback) {
+		// add named RPC method for custom requests, called from parent via pool.call()
+		this.methods[name] = {
+			name: name,
+			callback: callback
+		};
+	},
+	
+	removeMethod: function(name) {
+		// remove named RPC method
+		delete this.methods[name];
+	},
+	
 	logDebug: function(level, msg, data) {
 		// proxy request to system logger with correct component
 		if (!this.logger) return;
@@ -620,6 +767,11 @@ var worker = {
 		this.logDebug(2, "Shutting down worker");
 		this.stopInspector();
 		
+		if (this.usage_timer) {
+			clearInterval( this.usage_timer );
+			delete this.usage_timer;
+		}
+		
 		if (this.num_active_requests) {
 			this.logDebug(2, this.num_active_requests + " requests still active, shutdown will be delayed.");
 			this.request_shutdown = true;
@@ -632,7 +784,7 @@ var worker = {
 		
 		// allow user code to run its own async shutdown routine
 		if (this.user_obj.shutdown) {
-			this.user_obj.shutdown( function() {
+			this.callUser( this.user_obj, 'shutdown', [], '', function() {
 				process.exit(0);
 			} );
 		}
@@ -650,7 +802,7 @@ var worker = {
 			this.user_obj.emergencyShutdown(err);
 		}
 		else if (this.user_obj && this.user_obj.shutdown) {
-			this.user_obj.shutdown( function() { /* no-op */ } );
+			this.callUser( this.user_obj, 'shutdown', [], '', function() { /* no-op */ } );
 		}
 		// Note: not calling process.exit here, because uncatch does it for us
 	}
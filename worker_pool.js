@@ -8,6 +8,10 @@ var Tools = require("pixl-tools");
 var Perf = require("pixl-perf");
 
 var DefaultWorkerProxy = require('./worker_proxy.js');
+var HashRing = require('./hash_ring.js');
+var promiseCustom = require('./promise_custom.js');
+var RemoteError = require('./remote_error.js');
+var Schedule = require('./schedule.js');
 
 module.exports = Class.create({
 	// WorkerPool represents one group of workers
@@ -15,6 +19,40 @@ module.exports = Class.create({
 	queue: null,
 	maint_roll: null,
 	num_active_requests: 0,
+	rr_counter: 0,
+	affinity_map: null,
+	rate_buckets: null,
+	last_prune: 0,
+	hash_ring: null,
+	hash_ring_sig: '',
+	priority_rules_compiled: null,
+	priority_rules_src: null,
+	queue_counts: null,
+	queue_served: null,
+	queue_seq: 0,
+	adaptive_state: null,
+	latency_samples: null,
+	latency_times: null,
+	latency_idx: 0,
+	max_latency_samples: 1000,
+	circuit_state: 'closed',
+	circuit_window: null,
+	circuit_opened: 0,
+	circuit_probes: 0,
+	circuit_successes: 0,
+	crash_times: null,
+	respawn_delay: 0,
+	next_spawn_time: 0,
+	degraded: false,
+	method_stats: null,
+	num_arrivals: 0,
+	arrival_rate: 0,
+	last_rate_time: 0,
+	scale_history: null,
+	scale_history_start: 0,
+	last_scale_time: 0,
+	schedule_cache: null,
+	schedule_rule: -1,
 	
 	defaultConfig: {
 		enabled: true,
@@ -26,21 +64,55 @@ module.exports = Class.create({
 		min_children: 1,
 		max_children: 1,
 		max_concurrent_requests: 0,
+		max_requests_per_worker_concurrent: 0,
 		max_requests_per_child: 0, // can be array
+		max_child_rss_mb: 0,
+		max_child_heap_mb: 0,
+		usage_report_sec: 5,
+		cpu_sample_sec: 1,
+		max_idle_cpu_pct: 0,
+		max_idle_cpu_sec: 30,
 		max_concurrent_launches: 1,
 		max_concurrent_maint: 1,
 		max_queue_size: 0,
 		child_headroom_pct: 0,
 		child_busy_factor: 1,
 		child_cooldown_sec: 0,
+		autoscale_policy: 'busy',
+		autoscale_targets: null,
+		latency_window_sec: 60,
+		scale_up_window_sec: 0,
+		scale_down_window_sec: 0,
+		scale_min_interval_sec: 0,
+		scale_max_step: 1,
+		schedule: null,
+		crash_loop_max: 5,
+		crash_loop_window_sec: 60,
+		respawn_backoff_sec: 1,
+		respawn_backoff_max_sec: 60,
 		startup_timeout_sec: 0,
 		shutdown_timeout_sec: 10,
 		request_timeout_sec: 0,
+		method_timeouts: null,
+		max_retries: 0,
+		retry_methods: ['GET', 'HEAD'],
 		maint_timeout_sec: 0,
 		auto_maint: false,
 		maint_method: 'requests',
 		maint_requests: 1000,
 		maint_time_sec: 0,
+		strategy: 'least_requests',
+		ewma_alpha: 0.3,
+		affinity: null,
+		hash_vnodes: 100,
+		priority_rules: null,
+		queue_eviction: true,
+		max_queue_wait_sec: 0,
+		fair_queue: null,
+		rate_limit: null,
+		adaptive_concurrency: null,
+		circuit_breaker: null,
+		retry_after_sec: 1,
 		uri_match: '',
 		acl: false
 	},
@@ -62,15 +134,39 @@ module.exports = Class.create({
 		this.workers = {};
 		this.maint_roll = {};
 		this.num_active_requests = 0;
+		this.rr_counter = 0;
+		this.affinity_map = {};
+		this.rate_buckets = {};
+		this.last_prune = 0;
 		this.queue = [];
+		this.queue_counts = {};
+		this.queue_served = {};
+		this.queue_seq = 0;
+		this.latency_samples = [];
+		this.latency_times = [];
+		this.latency_idx = 0;
+		this.circuit_state = 'closed';
+		this.circuit_window = [];
+		this.crash_times = [];
+		this.respawn_delay = 0;
+		this.next_spawn_time = 0;
+		this.degraded = false;
+		this.method_stats = {};
+		this.scale_history = [];
+		this.schedule_cache = {};
 	},
 	
 	startup: function(callback) {
 		// start initial workers
+		// returns promise if no callback is provided
 		var self = this;
+		if (!callback) return new Promise( function(resolve, reject) {
+			self.startup( function(err) { if (err) reject(err); else resolve(); } );
+		} );
+		
 		this.logDebug(2, "Starting up pool");
 		
-		async.timesLimit( this.config.min_children, this.config.max_concurrent_launches,
+		async.timesLimit( this.getScaleLimits().min_children, this.config.max_concurrent_launches,
 			function(idx, callback) {
 				self.addWorker( callback );
 			},
@@ -91,6 +187,9 @@ module.exports = Class.create({
 		worker.startup( function(err) {
 			if (err) {
 				self.logError('child', "Failed to start worker: " + err);
+				
+				// count failed spawns as crashes, unless the proxy already reported it via notifyWorkerExit
+				if (!worker.pid && !worker.crashed) self.recordCrash(worker, 0);
 			}
 			if (callback) callback(err);
 		} );
@@ -117,105 +216,946 @@ module.exports = Class.create({
 		// delegate web request to one of our children
 		var self = this;
 		
+		// count new arrivals (not dequeues or retries), for autoscale rate policy
+		if (!args.arrived) {
+			args.arrived = true;
+			this.num_arrivals++;
+		}
+		
+		// circuit breaker: fail fast while open, before rate limiting or queueing
+		if (this.config.circuit_breaker) {
+			var retry_sec = this.checkCircuitOpen();
+			if (retry_sec) {
+				var msg = "Pool " + this.config.id + " circuit breaker is open, failing fast.";
+				return this.sendError( args, callback, "503 Service Unavailable", msg, { 'Retry-After': retry_sec } );
+			}
+		}
+		
+		// per-client rate limit check (only once per request, i.e. not again when dequeued)
+		if (this.config.rate_limit && !args.rate_checked) {
+			args.rate_checked = true;
+			var rl_headers = this.checkRateLimit(args);
+			if (rl_headers) {
+				var msg = "Pool " + this.config.id + " rate limit exceeded for client: " + args.rate_key + " (" + rl_headers['X-RateLimit-Limit'] + " requests burst, " + this.config.rate_limit.rate + " per second).";
+				return this.sendError( args, callback, "429 Too Many Requests", msg, rl_headers );
+			}
+		}
+		
 		// concurrency check
-		if (this.config.max_concurrent_requests && (this.num_active_requests >= this.config.max_concurrent_requests)) {
-			var msg = "Pool " + this.config.id + " is serving maximum of " + this.config.max_concurrent_requests + " concurrent requests.";
-			if (this.config.max_queue_size && (this.queue.length < this.config.max_queue_size)) {
-				msg += " Enqueuing request for next available slot.";
-				this.queue.push({ args, callback });
-				this.logDebug(9, msg, { queue_size: this.queue.length });
-				return;
-			} // queue
-			else {
-				if (this.config.max_queue_size) {
-					msg += " Also the queue is full (" + this.config.max_queue_size + " requests backlogged)";
+		var max_concurrent = this.getConcurrencyLimit();
+		var msg = '';
+		if (max_concurrent && (this.num_active_requests >= max_concurrent)) {
+			msg = "Pool " + this.config.id + " is serving maximum of " + max_concurrent + " concurrent requests.";
+		}
+		
+		// child picker: use configured strategy to choose one available worker
+		var chosen_one = msg ? null : this.pickWorker(args);
+		
+		if (!msg && !chosen_one && this.hasActiveWorkers()) {
+			// all active workers are at their per-worker cap, so treat like pool concurrency limit
+			msg = "Pool " + this.config.id + " workers are all serving their maximum of " + this.config.max_requests_per_worker_concurrent + " concurrent requests.";
+		}
+		
+		if (msg) {
+			if (this.config.max_queue_size) {
+				if (this.isQueueKeyFull(args)) {
+					msg += " Also the client has too many requests queued (" + this.config.fair_queue.max_per_key + " requests backlogged)";
 				}
-				this.logError( 429, msg, args.request ? { ips: args.ips, uri: args.request.url, headers: args.request.headers } : null );
-				
-				return callback(
-					"429 Too Many Requests", 
-					{ 'Content-Type': "text/html" }, 
-					"429 Too Many Requests: " + msg + "\n"
-				);
-			} // no queue
+				else if (this.enqueueRequest(args, callback)) {
+					msg += " Enqueuing request for next available slot.";
+					this.logDebug(9, msg, { queue_size: this.queue.length, priority: args.priority, key: args.queue_key });
+					return;
+				}
+				else msg += " Also the queue is full (" + this.config.max_queue_size + " requests backlogged)";
+			} // queue
+			
+			return this.sendError( args, callback, "429 Too Many Requests", msg );
 		} // HTTP 429
 		
-		// child picker: find all active workers serving the least # of concurrent requests
-		// then pick one random worker from that subset
-		var min_concurrent = 9999999;
+		if (!chosen_one) {
+			// this should never happen
+			var msg = "Pool " + this.config.id + " has no workers available to service requests.";
+			return this.sendError( args, callback, "503 Service Unavailable", msg );
+		}
+		
+		// half-open circuit breaker: only let probes through (checked here so probes are always dispatched)
+		if (this.config.circuit_breaker && !this.checkCircuitProbe(args)) {
+			var msg = "Pool " + this.config.id + " circuit breaker is " + this.circuit_state + ", failing fast.";
+			return this.sendError( args, callback, "503 Service Unavailable", msg, { 'Retry-After': 1 } );
+		}
+		
+		this.logDebug(9, "Chose worker: " + chosen_one.pid + " for request: " + 
+			((args.cmd == 'custom') ? '(internal)' : args.request.url) );
+		
+		// remember which worker has the request (for hedging and cancellation)
+		args.pid = chosen_one.pid;
+		
+		chosen_one.delegateRequest(args, function(status, headers, body) {
+			// request aborted by dying worker may be retried on another one
+			if (args.abort_msg) {
+				var abort_msg = args.abort_msg;
+				delete args.abort_msg;
+				if (self.retryRequest(args, callback, chosen_one, abort_msg)) return;
+			}
+			
+			callback(status, headers, body);
+			
+			// possibly dequeue backlogged requests here
+			self.processQueue();
+		});
+	},
+	
+	isRetryable: function(args) {
+		// check if request is idempotent (by method or custom flag) and has attempts left
+		if (!this.config.max_retries || ((args.retries || 0) >= this.config.max_retries)) return false;
+		if (args.cmd == 'custom') return !!args.retryable;
+		
+		var methods = this.config.retry_methods || [];
+		return methods.indexOf( (args.request.method || '').toUpperCase() ) > -1;
+	},
+	
+	retryRequest: function(args, callback, worker, msg) {
+		// retry request which was aborted by a worker crash, return true if retried
+		if (!this.isRetryable(args)) return false;
+		args.retries = (args.retries || 0) + 1;
+		
+		var uri = (args.cmd == 'custom') ? '(internal)' : args.request.url;
+		this.logDebug(5, "Retrying aborted request on another worker: " + uri + " (attempt " + args.retries + " of " + this.config.max_retries + ")", { pid: worker.pid, reason: msg });
+		this.emit('retry', { pid: worker.pid, attempt: args.retries, uri: uri, reason: msg });
+		
+		this.delegateRequest( args, callback );
+		return true;
+	},
+	
+	processQueue: function() {
+		// dispatch backlogged requests for as long as we have capacity for them
+		while (this.queue.length && this.hasCapacity()) {
+			var item = this.dequeueRequest();
+			this.logDebug(9, "Dequeuing backlogged request: " + 
+				((item.args.cmd == 'custom') ? '(internal)' : item.args.request.url), 
+				{ queue_remain: this.queue.length, priority: item.priority });
+			
+			this.delegateRequest( item.args, item.callback );
+		}
+	},
+	
+	hasCapacity: function() {
+		// check if a new request could be sent to a worker right now
+		var max_concurrent = this.getConcurrencyLimit();
+		if (max_concurrent && (this.num_active_requests >= max_concurrent)) return false;
 		
 		for (var pid in this.workers) {
-			var worker = this.workers[pid];
-			if ((worker.state == 'active') && (worker.num_active_requests < min_concurrent)) {
-				min_concurrent = worker.num_active_requests;
+			if (this.isWorkerAvailable(this.workers[pid])) return true;
+		}
+		return false;
+	},
+	
+	hasActiveWorkers: function() {
+		// check if we have at least one active worker (regardless of load)
+		for (var pid in this.workers) {
+			if (this.workers[pid].state == 'active') return true;
+		}
+		return false;
+	},
+	
+	isWorkerAvailable: function(worker) {
+		// check if worker is active and below its per-worker concurrency cap
+		var cap = this.config.max_requests_per_worker_concurrent;
+		return (worker.state == 'active') && (!cap || (worker.num_active_requests < cap));
+	},
+	
+	getConcurrencyLimit: function() {
+		// get current max concurrent requests, which may be adjusted by adaptive concurrency
+		if (!this.config.adaptive_concurrency) return this.config.max_concurrent_requests;
+		return Math.floor( this.getAdaptiveState().limit );
+	},
+	
+	getAdaptiveState: function() {
+		// lazily initialize adaptive concurrency state from config
+		if (!this.adaptive_state) {
+			var ac = this.config.adaptive_concurrency;
+			var min_limit = ac.min_limit || 1;
+			var max_limit = ac.max_limit || this.config.max_concurrent_requests || 1000;
+			var limit = ac.initial_limit || this.config.max_concurrent_requests || 10;
+			
+			this.adaptive_state = {
+				min_limit: min_limit,
+				max_limit: max_limit,
+				limit: Math.max( min_limit, Math.min( max_limit, limit ) ),
+				latency: 0,
+				min_latency: 0,
+				samples: 0
+			};
+		}
+		return this.adaptive_state;
+	},
+	
+	notifyRequestComplete: function(worker, info) {
+		// called by worker proxy for every completed request, with elapsed ms and status
+		// info: { elapsed, status, inflight }
+		
+		// keep a ring of recent latency samples (and when they completed), for percentiles
+		var idx = this.latency_idx++ % this.max_latency_samples;
+		this.latency_samples[idx] = info.elapsed;
+		this.latency_times[idx] = Tools.timeNow();
+		
+		if (this.config.circuit_breaker) this.updateCircuit(info);
+		if (this.config.adaptive_concurrency) this.updateConcurrencyLimit(info);
+	},
+	
+	updateConcurrencyLimit: function(info) {
+		// raise or lower adaptive concurrency limit based on completed request
+		var ac = this.config.adaptive_concurrency;
+		var state = this.getAdaptiveState();
+		var previous = Math.floor( state.limit );
+		var limit = state.limit;
+		var elapsed = Math.max( 1, info.elapsed );
+		
+		// only raise the limit if we are actually using a good portion of it
+		var saturated = (info.inflight * 2 >= limit);
+		
+		// timeouts and unavailable errors are treated as overload signals
+		var overload = !!(info.status || '').toString().match(/^50[34]/);
+		
+		if ((ac.method || 'aimd') == 'gradient') {
+			// gradient: compare smoothed latency against best latency seen (i.e. latency with no queueing)
+			var alpha = this.config.ewma_alpha;
+			state.latency = state.latency ? ((alpha * elapsed) + ((1 - alpha) * state.latency)) : elapsed;
+			
+			// periodically forget the minimum, so it can adapt to changing workloads
+			if (++state.samples >= (ac.probe_interval || 1000)) {
+				state.samples = 0;
+				state.min_latency = 0;
+			}
+			if (!state.min_latency || (elapsed < state.min_latency)) state.min_latency = elapsed;
+			
+			var gradient = overload ? 0.5 : Math.max( 0.5, Math.min( 1, ((ac.tolerance || 1.5) * state.min_latency) / state.latency ) );
+			var new_limit = (limit * gradient) + ((saturated && (gradient == 1)) ? Math.sqrt(limit) : 0);
+			var smoothing = ac.smoothing || 0.2;
+			limit = (limit * (1 - smoothing)) + (new_limit * smoothing);
+		}
+		else {
+			// aimd: additive increase, multiplicative decrease
+			if (overload || (elapsed > (ac.target_latency_ms || 1000))) limit *= (ac.decrease || 0.9);
+			else if (saturated) limit += (ac.increase || 1);
+		}
+		
+		state.limit = Math.max( state.min_limit, Math.min( state.max_limit, limit ) );
+		
+		var current = Math.floor( state.limit );
+		if (current != previous) {
+			this.logDebug(8, "Adjusting concurrency limit from " + previous + " to " + current, { elapsed: elapsed, status: info.status });
+			this.emit('concurrency', { limit: current, previous: previous, elapsed: elapsed });
+		}
+	},
+	
+	checkCircuitOpen: function() {
+		// check if circuit breaker is open, returns seconds until cooldown ends, or 0 if requests may proceed
+		// once the cooldown has passed, the circuit becomes half open
+		if (this.circuit_state != 'open') return 0;
+		
+		var remain = (this.circuit_opened + (this.config.circuit_breaker.cooldown_sec || 30)) - Tools.timeNow();
+		if (remain > 0) return Math.ceil( remain );
+		
+		this.setCircuitState('half_open');
+		return 0;
+	},
+	
+	checkCircuitProbe: function(args) {
+		// while circuit is half open, only let a limited number of probe requests through at once
+		// returns true if request may proceed
+		if (this.circuit_state != 'half_open') return true;
+		if (this.circuit_probes >= (this.config.circuit_breaker.probe_requests || 1)) return false;
+		
+		this.circuit_probes++;
+		args.circuit_probe = true;
+		return true;
+	},
+	
+	updateCircuit: function(info) {
+		// track worker errors (5xx) and open circuit if error rate is exceeded
+		var cb = this.config.circuit_breaker;
+		var error = (parseInt(info.status) >= 500);
+		
+		// while half open only probe results count (see releaseCircuitProbe)
+		if (this.circuit_state != 'closed') return;
+		
+		// keep per-second buckets within the window
+		var now = Tools.timeNow(true);
+		var window = this.circuit_window;
+		var bucket = window.length ? window[ window.length - 1 ] : null;
+		if (!bucket || (bucket.time != now)) {
+			bucket = { time: now, total: 0, errors: 0 };
+			window.push( bucket );
+		}
+		bucket.total++;
+		if (error) bucket.errors++;
+		
+		var window_sec = cb.window_sec || 10;
+		while (window.length && (window[0].time <= now - window_sec)) window.shift();
+		
+		var total = 0, errors = 0;
+		window.forEach( function(bucket) { total += bucket.total; errors += bucket.errors; } );
+		
+		if ((total >= (cb.min_requests || 20)) && ((errors / total) >= (cb.error_rate || 0.5))) {
+			this.logError('circuit', "Pool " + this.config.id + " error rate exceeded: " + errors + " of " + total + " requests failed in last " + window_sec + " seconds");
+			this.setCircuitState('open');
+		}
+	},
+	
+	releaseCircuitProbe: function(args, status) {
+		// probe request has ended, free its slot, and reopen or close circuit based on outcome
+		// status is null if the request was cancelled or the client went away, which proves nothing
+		var cb = this.config.circuit_breaker || {};
+		delete args.circuit_probe;
+		
+		if (this.circuit_state != 'half_open') return;
+		if (this.circuit_probes > 0) this.circuit_probes--;
+		if (!status) return;
+		
+		// one error reopens the circuit
+		if (parseInt(status) >= 500) this.setCircuitState('open');
+		else if (++this.circuit_successes >= (cb.probe_requests || 1)) this.setCircuitState('closed');
+	},
+	
+	setCircuitState: function(state) {
+		// change circuit breaker state, reset counters and emit event
+		var previous = this.circuit_state;
+		if (state == previous) return;
+		
+		this.circuit_state = state;
+		this.circuit_probes = 0;
+		this.circuit_successes = 0;
+		this.circuit_window = [];
+		if (state == 'open') this.circuit_opened = Tools.timeNow();
+		
+		this.logDebug(3, "Circuit breaker changing state from '" + previous + "' to '" + state + "'");
+		this.emit('circuit', { state: state, previous: previous });
+	},
+	
+	getLatencyPercentile: function(pct, window_sec) {
+		// get latency percentile (ms) from recent completed requests, or 0 if no samples
+		// optionally only consider requests completed within the last window_sec seconds
+		var samples = this.latency_samples;
+		if (window_sec) {
+			var min_time = Tools.timeNow() - window_sec;
+			var times = this.latency_times;
+			samples = samples.filter( function(elapsed, idx) { return times[idx] >= min_time; } );
+		}
+		samples = samples.slice().sort( function(a, b) { return a - b; } );
+		if (!samples.length) return 0;
+		
+		var idx = Math.max( 0, Math.ceil( (pct / 100) * samples.length ) - 1 );
+		return samples[idx];
+	},
+	
+	sendError: function(args, callback, status, msg, headers) {
+		// log error and send HTTP error response back to caller
+		// 429 and 503 responses include a Retry-After header, so clients back off
+		this.logError( parseInt(status), msg, args.request ? { ips: args.ips, uri: args.request.url, headers: args.request.headers } : null );
+		
+		headers = Tools.mergeHashes( { 'Content-Type': "text/html" }, headers || {} );
+		if (this.config.retry_after_sec && !headers['Retry-After'] && status.match(/^(429|503)\b/)) {
+			headers['Retry-After'] = Math.ceil( this.config.retry_after_sec );
+		}
+		
+		callback(
+			status, 
+			headers, 
+			status + ": " + msg + "\n"
+		);
+	},
+	
+	getRequestPriority: function(args) {
+		// determine priority for request (higher numbers are served first)
+		// custom requests may specify their own, otherwise use first matching priority rule
+		if (typeof(args.priority) == 'number') return args.priority;
+		
+		var rules = this.config.priority_rules;
+		if (!rules || !rules.length || !args.request) return 0;
+		
+		// compile regular expressions once, and recompile if config changes
+		if (this.priority_rules_src !== rules) {
+			this.priority_rules_compiled = rules.map( function(rule) {
+				return {
+					uri: rule.uri ? ((rule.uri instanceof RegExp) ? rule.uri : (new RegExp(rule.uri))) : null,
+					header: rule.header ? ('' + rule.header).toLowerCase() : '',
+					match: rule.match ? ((rule.match instanceof RegExp) ? rule.match : (new RegExp(rule.match))) : null,
+					priority: rule.priority || 0
+				};
+			} );
+			this.priority_rules_src = rules;
+		}
+		
+		var headers = args.request.headers || {};
+		
+		for (var idx = 0, len = this.priority_rules_compiled.length; idx < len; idx++) {
+			var rule = this.priority_rules_compiled[idx];
+			if (rule.uri && !args.request.url.match(rule.uri)) continue;
+			if (rule.header) {
+				if (!(rule.header in headers)) continue;
+				if (rule.match && !('' + headers[rule.header]).match(rule.match)) continue;
 			}
+			return rule.priority;
 		}
 		
-		var chosen_few = [];
+		return 0;
+	},
+	
+	getQueueKey: function(args) {
+		// get fair queue key for request (client ip, header, etc.), cached in args
+		if (!this.config.fair_queue) return '';
+		if (typeof(args.queue_key) != 'string') args.queue_key = this.getRequestKey(args, this.config.fair_queue) || '';
+		return args.queue_key;
+	},
+	
+	isQueueKeyFull: function(args) {
+		// check if client has reached its own queue limit (fair_queue.max_per_key)
+		if (!this.config.fair_queue || !this.config.fair_queue.max_per_key) return false;
+		return (this.queue_counts[ this.getQueueKey(args) ] || 0) >= this.config.fair_queue.max_per_key;
+	},
+	
+	enqueueRequest: function(args, callback) {
+		// add request to backlog queue, sorted by priority (FIFO within the same priority)
+		// if queue is full, optionally evict the lowest priority item to make room
+		// returns true if request was enqueued, false if not
+		args.priority = this.getRequestPriority(args);
+		
+		if (this.queue.length >= this.config.max_queue_size) {
+			var last = this.queue[ this.queue.length - 1 ];
+			if (!this.config.queue_eviction || !last || (last.priority >= args.priority)) return false;
+			
+			// evict newest item of lowest priority
+			this.removeQueueItem( this.queue.length - 1 );
+			var msg = "Pool " + this.config.id + " queue is full, and request was evicted by a higher priority request (" + last.priority + " < " + args.priority + ").";
+			this.sendError( last.args, last.callback, "429 Too Many Requests", msg );
+		}
+		
+		var item = { args: args, callback: callback, priority: args.priority, key: this.getQueueKey(args), queued: Date.now() };
+		
+		// optionally limit how long the request can wait in the queue
+		if (this.config.max_queue_wait_sec) {
+			item.timer = setTimeout( this.expireQueueItem.bind(this, item), this.config.max_queue_wait_sec * 1000 );
+		}
+		
+		var idx = this.queue.length;
+		while ((idx > 0) && (this.queue[idx - 1].priority < item.priority)) idx--;
+		this.queue.splice( idx, 0, item );
+		
+		this.queue_counts[ item.key ] = (this.queue_counts[ item.key ] || 0) + 1;
+		return true;
+	},
+	
+	dequeueRequest: function() {
+		// remove and return highest priority item from queue, or null if empty
+		// with fair queuing, rotate between client keys within the highest priority
+		if (!this.queue.length) return null;
+		var idx = 0;
+		
+		if (this.config.fair_queue) {
+			// pick the key that was least recently served (never served wins right away)
+			var top = this.queue[0].priority;
+			var best = -1;
+			
+			for (var pos = 0, len = this.queue.length; (pos < len) && (this.queue[pos].priority == top); pos++) {
+				var served = this.queue_served[ this.queue[pos].key ] || 0;
+				if ((best < 0) || (served < best)) {
+					best = served;
+					idx = pos;
+					if (!served) break;
+				}
+			}
+		}
+		
+		var item = this.removeQueueItem(idx);
+		if (this.config.fair_queue && this.queue_counts[item.key]) {
+			this.queue_served[ item.key ] = ++this.queue_seq;
+		}
+		return item;
+	},
+	
+	removeQueueItem: function(idx) {
+		// remove item from queue by index, cancel its timer and update key counts
+		var item = this.queue.splice( idx, 1 )[0];
+		if (item.timer) { clearTimeout( item.timer ); delete item.timer; }
+		
+		if (!--this.queue_counts[ item.key ]) {
+			// key has nothing left in the queue, so forget about it
+			delete this.queue_counts[ item.key ];
+			delete this.queue_served[ item.key ];
+		}
+		
+		return item;
+	},
+	
+	expireQueueItem: function(item) {
+		// request waited too long in queue, remove it and send error
+		var idx = this.queue.indexOf(item);
+		if (idx == -1) return;
+		
+		delete item.timer;
+		this.removeQueueItem(idx);
+		
+		var msg = "Pool " + this.config.id + " request waited in queue for longer than " + this.config.max_queue_wait_sec + " seconds.";
+		this.sendError( item.args, item.callback, "503 Service Unavailable", msg );
+	},
+	
+	pickWorker: function(args) {
+		// choose one active worker for the request, honoring hash key and affinity first
+		// hedged requests must go to a different worker, so they skip hash and affinity
+		if (args.exclude_pids) return this.pickWorkerStrategy(args);
+		
+		if (args.hash_key) {
+			var worker = this.pickWorkerHash(args.hash_key);
+			if (worker) return worker;
+		}
+		
+		var affinity_key = this.config.affinity ? this.getRequestKey(args, this.config.affinity) : null;
+		var remap = true;
+		
+		if (affinity_key) {
+			var mapping = this.affinity_map[ affinity_key ];
+			var worker = mapping ? this.workers[ mapping.pid ] : null;
+			
+			if (worker && this.isWorkerAvailable(worker)) {
+				mapping.time = Tools.timeNow();
+				return worker;
+			}
+			if (worker && (worker.state != 'shutdown')) {
+				// worker is alive but temporarily unavailable (i.e. maint or at cap), so route elsewhere but keep mapping
+				remap = false;
+			}
+		}
+		
+		var chosen_one = this.pickWorkerStrategy(args);
+		
+		if (chosen_one && affinity_key && remap) {
+			this.logDebug(9, "Mapping affinity key to worker: " + chosen_one.pid, { key: affinity_key });
+			this.affinity_map[ affinity_key ] = { pid: chosen_one.pid, time: Tools.timeNow() };
+		}
+		
+		return chosen_one;
+	},
+	
+	pickWorkerHash: function(key) {
+		// locate worker for key using consistent hash ring over all live worker pids
+		// workers in startup or maint stay on the ring, but are skipped over, so keys do not reshuffle
+		var self = this;
+		var pids = [];
+		for (var pid in this.workers) {
+			if (this.workers[pid].state != 'shutdown') pids.push(pid);
+		}
+		
+		// rebuild ring only when the set of workers changes
+		var sig = pids.join(',');
+		if (!this.hash_ring || (sig != this.hash_ring_sig)) {
+			this.logDebug(9, "Rebuilding consistent hash ring", { pids: pids });
+			this.hash_ring = new HashRing( pids, this.config.hash_vnodes );
+			this.hash_ring_sig = sig;
+		}
+		
+		var pid = this.hash_ring.find( key, function(pid) {
+			return self.workers[pid] && self.isWorkerAvailable(self.workers[pid]);
+		} );
+		
+		return pid ? this.workers[pid] : null;
+	},
+	
+	pickWorkerStrategy: function(args) {
+		// choose one available worker for the request, using the configured strategy
+		// strategy may be a string (see strategies below) or a custom function
+		var workers = [];
 		for (var pid in this.workers) {
 			var worker = this.workers[pid];
-			if ((worker.state == 'active') && (worker.num_active_requests == min_concurrent)) {
-				chosen_few.push(worker);
-			}
+			if (args.exclude_pids && (args.exclude_pids.indexOf(worker.pid) > -1)) continue;
+			if (this.isWorkerAvailable(worker)) workers.push(worker);
 		}
+		if (!workers.length) return null;
 		
-		if (!chosen_few.length) {
-			// this should never happen
-			var msg = "Pool " + this.config.id + " has no workers available to service requests.";
-			this.logError( 503, msg, args.request ? { ips: args.ips, uri: args.request.url, headers: args.request.headers } : null );
+		var strategy = this.config.strategy || 'least_requests';
+		if (typeof(strategy) == 'function') {
+			// custom user picker, called with pool as this
+			var chosen_one = strategy.call(this, workers, args);
+			if (chosen_one && (workers.indexOf(chosen_one) > -1)) return chosen_one;
 			
-			return callback(
-				"503 Service Unavailable", 
-				{ 'Content-Type': "text/html" }, 
-				"503 Service Unavailable: " + msg + "\n"
-			);
+			this.logError('strategy', "Custom strategy did not return an active worker, falling back to default");
+			strategy = 'least_requests';
 		}
 		
-		var chosen_one = Tools.randArray(chosen_few);
-		this.logDebug(9, "Chose worker: " + chosen_one.pid + " for request: " + 
-			((args.cmd == 'custom') ? '(internal)' : args.request.url) );
+		if (!this.strategies[strategy]) {
+			this.logError('strategy', "Unknown worker selection strategy: " + strategy + " (using least_requests)");
+			strategy = 'least_requests';
+		}
 		
-		chosen_one.delegateRequest(args, function(status, headers, body) {
-			callback(status, headers, body);
+		return this.strategies[strategy].call(this, workers, args);
+	},
+	
+	strategies: {
+		// worker selection strategies, all called with pool as this, and an array of active workers
+		least_requests: function(workers, args) {
+			// find all active workers serving the least # of concurrent requests
+			// then pick one random worker from that subset
+			var min_concurrent = 9999999;
 			
-			// possibly dequeue a backlogged request here
-			if (self.queue.length > 0) {
-				var item = self.queue.shift();
-				
-				self.logDebug(9, "Dequeuing backlogged request: " + 
-					((item.args.cmd == 'custom') ? '(internal)' : item.args.request.url), 
-					{ queue_remain: self.queue.length });
-				
-				self.delegateRequest( item.args, item.callback );
+			workers.forEach( function(worker) {
+				if (worker.num_active_requests < min_concurrent) min_concurrent = worker.num_active_requests;
+			} );
+			
+			var chosen_few = workers.filter( function(worker) {
+				return worker.num_active_requests == min_concurrent;
+			} );
+			
+			return Tools.randArray(chosen_few);
+		},
+		
+		round_robin: function(workers, args) {
+			// cycle through active workers in order
+			if (this.rr_counter >= workers.length) this.rr_counter = 0;
+			return workers[ this.rr_counter++ ];
+		},
+		
+		weighted: function(workers, args) {
+			// pick random worker weighted by its remaining capacity (child_busy_factor minus active requests)
+			var capacity = this.config.child_busy_factor || 1;
+			var weights = workers.map( function(worker) {
+				return Math.max( 0, capacity - worker.num_active_requests );
+			} );
+			var total = weights.reduce( function(a, b) { return a + b; }, 0 );
+			
+			// all workers are at capacity, so fall back to least requests
+			if (!total) return this.strategies.least_requests.call(this, workers, args);
+			
+			var value = Math.random() * total;
+			for (var idx = 0, len = workers.length; idx < len; idx++) {
+				value -= weights[idx];
+				if (value < 0) return workers[idx];
 			}
-		});
+			return workers[ workers.length - 1 ];
+		},
+		
+		ewma: function(workers, args) {
+			// pick worker with lowest EWMA response latency, scaled by its current load
+			// workers with no latency samples yet (score 0) are preferred, so they warm up
+			var best_score = -1;
+			var chosen_few = [];
+			
+			workers.forEach( function(worker) {
+				var score = worker.ewma_latency * (worker.num_active_requests + 1);
+				if ((best_score < 0) || (score < best_score)) {
+					best_score = score;
+					chosen_few = [worker];
+				}
+				else if (score == best_score) chosen_few.push(worker);
+			} );
+			
+			return Tools.randArray(chosen_few);
+		},
+		
+		random: function(workers, args) {
+			// pick any active worker at random
+			return Tools.randArray(workers);
+		}
+	},
+	
+	getRequestKey: function(args, spec) {
+		// extract key from request for routing purposes, given spec object
+		// spec: { type: 'ip' | 'header' | 'cookie' | 'query' | 'custom', name: '...' } or { key: function(args) }
+		var value = null;
+		
+		if (typeof(spec.key) == 'function') {
+			value = spec.key.call(this, args);
+		}
+		else switch (spec.type) {
+			case 'ip':
+				value = args.ip || (args.ips ? args.ips[0] : null);
+			break;
+			
+			case 'header':
+				if (args.request && args.request.headers) value = args.request.headers[ ('' + spec.name).toLowerCase() ];
+			break;
+			
+			case 'cookie':
+				if (args.cookies) value = args.cookies[ spec.name ];
+			break;
+			
+			case 'query':
+				if (args.query) value = args.query[ spec.name ];
+			break;
+			
+			case 'custom':
+				if ((args.cmd == 'custom') && args.params) value = args.params[ spec.name ];
+			break;
+		}
+		
+		if ((value === null) || (value === undefined) || (value === '')) return null;
+		return '' + value;
 	},
 	
-	delegateCustom: function(user_data, callback) {
+	checkRateLimit: function(args) {
+		// token bucket rate limiter, keyed by client (ip, header, etc.)
+		// returns null if request is allowed, or rate limit headers if over limit
+		var spec = this.config.rate_limit;
+		var key = args.rate_key = this.getRequestKey(args, spec);
+		if (!key) return null;
+		
+		var rate = spec.rate || 1;
+		var burst = spec.burst || rate;
+		var now = Date.now();
+		var bucket = this.rate_buckets[key];
+		
+		if (!bucket) {
+			bucket = this.rate_buckets[key] = { tokens: burst, time: now };
+		}
+		else {
+			// refill tokens based on elapsed time
+			bucket.tokens = Math.min( burst, bucket.tokens + (((now - bucket.time) / 1000) * rate) );
+			bucket.time = now;
+		}
+		
+		if (bucket.tokens >= 1) {
+			bucket.tokens--;
+			return null;
+		}
+		
+		return {
+			'X-RateLimit-Limit': burst,
+			'X-RateLimit-Remaining': 0,
+			'X-RateLimit-Reset': Math.ceil( (burst - bucket.tokens) / rate ),
+			'Retry-After': Math.ceil( (1 - bucket.tokens) / rate )
+		};
+	},
+	
+	pruneRateLimits: function() {
+		// remove rate limit buckets which have refilled completely (idle clients)
+		var spec = this.config.rate_limit;
+		var rate = spec.rate || 1;
+		var burst = spec.burst || rate;
+		var now = Date.now();
+		
+		for (var key in this.rate_buckets) {
+			var bucket = this.rate_buckets[key];
+			if (bucket.tokens + (((now - bucket.time) / 1000) * rate) >= burst) delete this.rate_buckets[key];
+		}
+	},
+	
+	clearAffinity: function(pid) {
+		// remove all affinity mappings pointing at worker (recycled or exited)
+		var count = 0;
+		for (var key in this.affinity_map) {
+			if (this.affinity_map[key].pid == pid) {
+				delete this.affinity_map[key];
+				count++;
+			}
+		}
+		if (count) this.logDebug(9, "Removed " + count + " affinity mappings for worker: " + pid);
+	},
+	
+	pruneAffinity: function() {
+		// expire affinity mappings that have not been used in a while
+		var now = Tools.timeNow();
+		var ttl = this.config.affinity.ttl_sec || 3600;
+		
+		for (var key in this.affinity_map) {
+			if (now - this.affinity_map[key].time >= ttl) delete this.affinity_map[key];
+		}
+	},
+	
+	delegateCustom: function(user_data, opts, callback) {
 		// send custom request into child, i.e. not web related
+		// opts is optional, and may contain: method, hash_key, priority, retryable, hedge, timeout_ms, deadline, signal
+		// returns handle with request id and cancel() function
+		// if no callback is provided, returns promise (resolves to {data, perf}) with id and cancel() attached
+		var self = this;
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!callback) return promiseCustom( this, user_data, opts );
+		if (!opts) opts = {};
+		
 		var perf = new Perf();
 		perf.begin();
 		
 		var args = {
 			cmd: 'custom',
+			id: this.manager.getUniqueID('r'),
 			params: user_data,
 			perf: perf
 		};
 		
-		this.delegateRequest( args, function(status, headers, body) {
+		var handle = {
+			id: args.id,
+			cancel: function() { return self.cancelCustom(args); }
+		};
+		
+		// optional AbortSignal, which cancels the request
+		var signal = opts.signal || null;
+		var onAbort = function() { handle.cancel(); };
+		if (signal) signal.addEventListener( 'abort', onAbort );
+		
+		// optional named RPC method, registered in worker via addMethod()
+		if (opts.method) args.method = '' + opts.method;
+		
+		// optionally route by key using consistent hash ring
+		if (opts.hash_key) args.hash_key = '' + opts.hash_key;
+		
+		// optional queue priority (higher numbers are served first)
+		if (opts.priority) args.priority = parseInt( opts.priority ) || 0;
+		
+		// allow retry on another worker if ours dies (request must be idempotent)
+		if (opts.retryable) args.retryable = true;
+		
+		// optional per-call deadline, passed through to worker (overrides request_timeout_sec)
+		if (opts.deadline) args.deadline = (opts.deadline instanceof Date) ? opts.deadline.getTime() : parseInt( opts.deadline );
+		else if (opts.timeout_ms) args.deadline = Date.now() + parseInt( opts.timeout_ms );
+		else if (args.method && this.config.method_timeouts && this.config.method_timeouts[args.method]) {
+			// per-method timeout (seconds)
+			args.deadline = Date.now() + (parseFloat( this.config.method_timeouts[args.method] ) * 1000);
+		}
+		
+		var respond = function(status, headers, body) {
 			// convert web response to standard err/data/perf callback
 			perf.end();
+			if (signal) signal.removeEventListener( 'abort', onAbort );
+			if (args.method) self.updateMethodStats( args.method, status, perf );
 			
-			if (status != "200 OK") {
+			if (args.remote_error) {
+				// rebuild original error thrown in worker
+				callback( RemoteError.revive( args.remote_error, status ), null, perf );
+			}
+			else if (status != "200 OK") {
 				var err = new Error( body.toString() );
-				err.code = status;
+				err.code = args.canceled ? 'ECANCELED' : status;
 				callback( err, null, perf );
 			}
 			else {
 				// success
 				callback( null, body, perf );
 			}
-		} ); // delegateRequest
+		};
+		
+		// optionally hedge slow requests, after N ms or the pool's p95 latency
+		var hedge_ms = (opts.hedge === true) ? this.getLatencyPercentile(95) : (parseInt( opts.hedge ) || 0);
+		
+		if (signal && signal.aborted) {
+			// already aborted, so do not even send it
+			args.canceled = true;
+			respond( "499 Client Closed Request", {}, "499 Client Closed Request: Request was cancelled." );
+		}
+		else if (hedge_ms) this.delegateHedged( args, hedge_ms, respond );
+		else this.delegateRequest( args, respond );
+		
+		return handle;
+	},
+	
+	call: function(method, params, opts, callback) {
+		// call named RPC method in worker (registered via worker.addMethod)
+		// opts is optional, and accepts the same properties as delegateCustom
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		opts = Tools.copyHash( opts || {} );
+		opts.method = method;
+		
+		return this.delegateCustom( params, opts, callback );
+	},
+	
+	updateMethodStats: function(method, status, perf) {
+		// track per-method call counts, errors and elapsed time
+		var stats = this.method_stats[method];
+		if (!stats) stats = this.method_stats[method] = { count: 0, errors: 0, timeouts: 0, total_ms: 0, max_ms: 0 };
+		var elapsed = perf.elapsed();
+		
+		stats.count++;
+		stats.total_ms += elapsed;
+		if (elapsed > stats.max_ms) stats.max_ms = elapsed;
+		if (status != "200 OK") stats.errors++;
+		if (status == "504 Gateway Timeout") stats.timeouts++;
+	},
+	
+	getMethodStats: function() {
+		// get per-method RPC stats, including average elapsed time
+		var stats = {};
+		
+		for (var method in this.method_stats) {
+			var item = this.method_stats[method];
+			stats[method] = Tools.mergeHashes( item, {
+				avg_ms: item.count ? Math.round( (item.total_ms / item.count) * 1000 ) / 1000 : 0
+			} );
+		}
+		return stats;
+	},
+	
+	cancelCustom: function(args) {
+		// cancel custom request, either waiting in the queue or running in a worker
+		// returns true if request was cancelled, false if it already completed
+		var msg = "Request was cancelled.";
+		args.canceled = true;
+		
+		for (var idx = 0, len = this.queue.length; idx < len; idx++) {
+			if (this.queue[idx].args === args) {
+				var item = this.removeQueueItem(idx);
+				this.logDebug(9, "Cancelled queued request: " + args.id);
+				item.callback( "499 Client Closed Request", {}, "499 Client Closed Request: " + msg );
+				return true;
+			}
+		}
+		
+		var worker = args.pid ? this.workers[ args.pid ] : null;
+		if (worker && worker.abortRequest( args.id, "499 Client Closed Request", msg )) {
+			this.logDebug(9, "Cancelled request: " + args.id + " on worker: " + worker.pid);
+			return true;
+		}
+		
+		delete args.canceled;
+		return false;
+	},
+	
+	delegateHedged: function(args, delay, callback) {
+		// send request, and if it is still running after delay ms, send a duplicate to a different worker
+		// whichever answers first wins, and the other request is cancelled (a failed duplicate is ignored)
+		var self = this;
+		var hedge_args = null;
+		var done = false;
+		
+		var finish = function(winner, loser, status, headers, body) {
+			if (done) return;
+			done = true;
+			if (timer) clearTimeout( timer );
+			
+			// cancel the losing request, so its response is quietly dropped
+			var worker = (loser && loser.pid) ? self.workers[ loser.pid ] : null;
+			if (worker) worker.cancelRequest( loser.id );
+			if (winner !== args) args.remote_error = winner.remote_error;
+			
+			if (hedge_args) self.logDebug(9, "Hedged request " + args.id + " answered by worker: " + winner.pid);
+			callback( status, headers, body );
+		};
+		
+		var timer = setTimeout( function() {
+			timer = null;
+			
+			// only hedge if original request is actually running in a worker (i.e. not queued)
+			var worker = args.pid ? self.workers[ args.pid ] : null;
+			if (done || !worker || !worker.requests[ args.id ]) return;
+			
+			// do not add load if pool is at capacity
+			var max_concurrent = self.getConcurrencyLimit();
+			if (max_concurrent && (self.num_active_requests >= max_concurrent)) return;
+			
+			hedge_args = { cmd: 'custom', method: args.method, params: args.params, deadline: args.deadline, exclude_pids: [ args.pid ] };
+			var hedge_worker = self.pickWorker( hedge_args );
+			if (!hedge_worker) return;
+			
+			self.logDebug(8, "Hedging request " + args.id + " on worker: " + hedge_worker.pid + " (no response from " + args.pid + " after " + delay + " ms)");
+			hedge_args.pid = hedge_worker.pid;
+			
+			hedge_worker.delegateRequest( hedge_args, function(status, headers, body) {
+				// a failed duplicate is not an answer, so keep waiting for the original
+				if (status == "200 OK") finish( hedge_args, args, status, headers, body );
+				else if (!done) self.logDebug(8, "Hedge for request " + args.id + " failed on worker: " + hedge_args.pid + " (" + status + "), waiting for original");
+				self.processQueue();
+			} );
+		}, delay );
+		
+		this.delegateRequest( args, function(status, headers, body) {
+			finish( args, hedge_args, status, headers, body );
+		} );
 	},
 	
 	sendMessage: function(user_data) {
@@ -257,10 +1197,42 @@ module.exports = Class.create({
 		return states;
 	},
 	
+	getStats: function() {
+		// get pool statistics, for admin tooling
+		this.pruneCrashes();
+		
+		return {
+			id: this.config.id,
+			states: this.getStates(),
+			num_workers: Tools.numKeys(this.workers),
+			num_active_requests: this.num_active_requests,
+			queue_size: this.queue.length,
+			concurrency_limit: this.getConcurrencyLimit(),
+			latency_p95: this.getLatencyPercentile(95),
+			arrival_rate: Math.round( this.arrival_rate * 100 ) / 100,
+			cpu_pct: this.getAverageCPU(),
+			scale_limits: this.getScaleLimits(),
+			circuit_state: this.circuit_state,
+			degraded: this.degraded,
+			crashes: this.crash_times.length,
+			respawn_delay: this.respawn_delay,
+			next_spawn_sec: Math.max( 0, Math.ceil( this.next_spawn_time - Tools.timeNow() ) ),
+			methods: this.getMethodStats(),
+			workers: this.getWorkerStats()
+		};
+	},
+	
 	tick: function() {
 		// run child maintenance, called every tick (1 sec)
 		var now = Tools.timeNow();
 		
+		// expire old affinity mappings and idle rate limit buckets once a minute
+		if (now - this.last_prune >= 60) {
+			if (this.config.affinity) this.pruneAffinity();
+			if (this.config.rate_limit) this.pruneRateLimits();
+			this.last_prune = now;
+		}
+		
 		// make sure only N children do maint concurrently
 		var states = this.getStates();
 		// this.logDebug(10, "Workers", { pids: Object.keys(this.workers), states: states });
@@ -332,10 +1304,37 @@ module.exports = Class.create({
 						states.active--;
 						states.shutdown++;
 						
-						this.emit('restart', worker);
+						this.emit('restart', worker, 'max_requests');
 					} // end of life
 				} // max_requests_per_child
 				
+				// check memory limits
+				if ((worker.state == 'active') && (states.active > 1) && (this.config.max_child_rss_mb || this.config.max_child_heap_mb)) {
+					var mem_msg = this.checkWorkerMemory(worker);
+					if (mem_msg) {
+						this.logDebug(3, "Worker " + worker.pid + " " + mem_msg + ", and will be recycled");
+						worker.shutdown();
+						
+						states.active--;
+						states.shutdown++;
+						
+						this.emit('restart', worker, 'memory');
+					}
+				} // memory limits
+				
+				// check for worker stuck at high cpu with no requests
+				if ((worker.state == 'active') && (states.active > 1) && this.config.max_idle_cpu_pct && worker.cpu_stuck_since && !worker.num_active_requests) {
+					if (now - worker.cpu_stuck_since >= this.config.max_idle_cpu_sec) {
+						this.logDebug(3, "Worker " + worker.pid + " has been using " + worker.cpu_pct + "% CPU with no active requests for " + Math.round(now - worker.cpu_stuck_since) + " seconds, and will be recycled");
+						worker.shutdown();
+						
+						states.active--;
+						states.shutdown++;
+						
+						this.emit('restart', worker, 'cpu');
+					}
+				} // stuck cpu
+				
 				// rolling restart request
 				if ((worker.state == 'active') && worker.request_restart && ((states.active > 1) || (this.config.max_children == 1))) {
 					delete worker.request_restart;
@@ -345,55 +1344,299 @@ module.exports = Class.create({
 					states.active--;
 					states.shutdown++;
 					
-					this.emit('restart', worker);
+					this.emit('restart', worker, 'request');
 				} // rolling restart
 			} // room for restart
 			
 		} // found worker
 		
 		// now perform general pool maint:
-		// automatically spawn / kill children as needed based on usage and headroom
+		// automatically spawn / kill children as needed based on autoscale policy
 		var num_busy = 0;
+		var num_working = 0;
 		var total_children = 0;
 		var idle_kids = {};
 		
 		for (var pid in this.workers) {
 			var worker = this.workers[pid];
+			if (this.config.cpu_sample_sec) worker.sampleCPU(now);
+			
 			if (worker.state == 'active') {
+				if (worker.num_active_requests) num_working++;
 				if (worker.num_active_requests >= this.config.child_busy_factor) num_busy++;
 				else if (!worker.num_active_requests && ((now - worker.started) >= this.config.child_cooldown_sec)) idle_kids[pid] = 1;
 			}
 			total_children++;
 		}
 		
-		// apply headroom adjustment
-		var num_busy_adj = Math.floor( num_busy + (num_busy * (this.config.child_headroom_pct / 100)) );
-		if (num_busy_adj < this.config.min_children - 1) num_busy_adj = this.config.min_children - 1;
-		
 		// count all children except those in maint or being shut down
 		var num_children = states.startup + states.active;
 		var total_sans_shut = total_children - states.shutdown;
 		
-		if ((num_busy_adj >= num_children) && (states.startup < this.config.max_concurrent_launches) && (total_sans_shut < this.config.max_children)) {
+		// check if crash loop has settled down
+		if (this.degraded) this.checkCrashLoop();
+		
+		this.updateArrivalRate(now);
+		
+		// min/max children may be overridden by schedule
+		var limits = this.getScaleLimits();
+		this.checkScheduleChange(limits);
+		
+		var metrics = {
+			states: states,
+			num_children: num_children,
+			num_active: states.active,
+			num_busy: num_busy,
+			num_working: num_working,
+			num_idle: Tools.numKeys(idle_kids),
+			num_active_requests: this.num_active_requests,
+			queue_size: this.queue.length,
+			latency_p95: this.getLatencyPercentile(95, this.config.latency_window_sec),
+			arrival_rate: this.arrival_rate,
+			cpu_pct: this.getAverageCPU(),
+			min_children: limits.min_children,
+			max_children: limits.max_children
+		};
+		var desired = this.getDesiredChildren(metrics);
+		
+		// stabilize desired count over time windows, so bursty traffic doesn't flap workers up and down
+		// (min/max limits always apply right away, i.e. for scheduled pre-scaling)
+		var stable = this.getStableDesired(now, desired, num_children);
+		stable.up = Math.max( stable.up, limits.min_children );
+		stable.down = Math.min( stable.down, limits.max_children );
+		
+		// enforce minimum time between scale events, for the pool as a whole
+		// (except for raising the pool to its minimum, i.e. scheduled pre-scaling or replacing crashed workers)
+		var below_min = (num_children < limits.min_children);
+		if (now - this.last_scale_time < this.config.scale_min_interval_sec) {
+			if (!below_min) return;
+			stable = { up: limits.min_children, down: Infinity };
+		}
+		
+		var max_step = Math.max( 1, this.config.scale_max_step || 1 );
+		
+		// below minimum (i.e. schedule kicked in), so launch as many as max_concurrent_launches allows
+		if (below_min) max_step = Math.max( max_step, this.config.max_concurrent_launches );
+		var num_added = 0;
+		var num_removed = 0;
+		
+		while ((stable.up > num_children) && (num_added < max_step) && (states.startup < this.config.max_concurrent_launches) && (total_sans_shut < limits.max_children) && (now >= this.next_spawn_time)) {
 			// need more workers
-			this.logDebug(4, "Auto-Scale: Adding worker to pool", { num_busy: num_busy });
+			this.logDebug(4, "Auto-Scale: Adding worker to pool", { num_busy: num_busy, desired: desired });
 			var worker = this.addWorker();
-			if (worker.pid) this.emit('autoscale', { cmd: 'add', pid: worker.pid });
+			if (worker.pid) this.emit('autoscale', { cmd: 'add', pid: worker.pid, desired: desired });
+			
+			num_added++;
+			num_children++;
+			total_sans_shut++;
+			states.startup++;
 		}
-		else if ((num_busy_adj < states.active - 1) && (states.active > 1) && (total_children > this.config.min_children)) {
+		
+		if (!num_added) while ((stable.down < states.active) && (num_removed < max_step) && (states.active > 1) && (total_children > limits.min_children)) {
 			// need fewer workers
 			var pid = Tools.firstKey(idle_kids);
-			if (pid) {
-				var worker = this.workers[pid];
-				this.logDebug(4, "Auto-Scale: Removing idle worker: " + worker.pid, { num_busy: num_busy });
-				worker.shutdown();
-				this.emit('autoscale', { cmd: 'remove', pid: worker.pid });
+			if (!pid) break;
+			delete idle_kids[pid];
+			
+			var worker = this.workers[pid];
+			this.logDebug(4, "Auto-Scale: Removing idle worker: " + worker.pid, { num_busy: num_busy, desired: desired });
+			worker.shutdown();
+			this.emit('autoscale', { cmd: 'remove', pid: worker.pid, desired: desired });
+			
+			num_removed++;
+			states.active--;
+			total_children--;
+		}
+		
+		if (num_added || num_removed) this.last_scale_time = now;
+	},
+	
+	checkWorkerMemory: function(worker) {
+		// check last reported memory usage against limits, return description if exceeded
+		var mem = worker.memory;
+		if (!mem) return false;
+		
+		var rss_mb = mem.rss / 1048576;
+		var heap_mb = mem.heapUsed / 1048576;
+		
+		if (this.config.max_child_rss_mb && (rss_mb > this.config.max_child_rss_mb)) {
+			return "is using " + Math.round(rss_mb) + " MB RSS (limit is " + this.config.max_child_rss_mb + " MB)";
+		}
+		if (this.config.max_child_heap_mb && (heap_mb > this.config.max_child_heap_mb)) {
+			return "is using " + Math.round(heap_mb) + " MB of heap (limit is " + this.config.max_child_heap_mb + " MB)";
+		}
+		return false;
+	},
+	
+	getWorkerStats: function() {
+		// get per-worker statistics, keyed by pid
+		var stats = {};
+		
+		for (var pid in this.workers) {
+			var worker = this.workers[pid];
+			stats[pid] = {
+				state: worker.state,
+				num_requests_served: worker.num_requests_served,
+				num_active_requests: worker.num_active_requests,
+				rss_mb: worker.memory ? Math.round( worker.memory.rss / 1048576 ) : 0,
+				heap_mb: worker.memory ? Math.round( worker.memory.heapUsed / 1048576 ) : 0,
+				cpu_pct: worker.cpu_pct
+			};
+		}
+		
+		return stats;
+	},
+	
+	getAverageCPU: function() {
+		// get average cpu usage across active workers, in percent of one core
+		var total = 0;
+		var count = 0;
+		
+		for (var pid in this.workers) {
+			var worker = this.workers[pid];
+			if (worker.state == 'active') { total += worker.cpu_pct; count++; }
+		}
+		
+		return count ? (Math.round( (total / count) * 10 ) / 10) : 0;
+	},
+	
+	getStableDesired: function(now, desired, current) {
+		// remember recent desired counts, and return stabilized targets for scaling up and down
+		// up: lowest desired count in scale up window (must stay high for whole window)
+		// down: highest desired count in scale down window (must stay low for whole window)
+		var up_window = this.config.scale_up_window_sec || 0;
+		var down_window = this.config.scale_down_window_sec || 0;
+		var max_window = Math.max( up_window, down_window );
+		var stable = { up: desired, down: desired };
+		
+		if (!this.scale_history.length) this.scale_history_start = now;
+		this.scale_history.push({ time: now, desired: desired });
+		while (this.scale_history.length && (now - this.scale_history[0].time > max_window)) this.scale_history.shift();
+		
+		this.scale_history.forEach( function(item) {
+			if (now - item.time <= up_window) stable.up = Math.min( stable.up, item.desired );
+			if (now - item.time <= down_window) stable.down = Math.max( stable.down, item.desired );
+		} );
+		
+		// until history spans a whole window (i.e. fresh pool), hold at the current number of children
+		if (now - this.scale_history_start < up_window) stable.up = Math.min( stable.up, current );
+		if (now - this.scale_history_start < down_window) stable.down = Math.max( stable.down, current );
+		
+		return stable;
+	},
+	
+	getDesiredChildren: function(metrics) {
+		// ask autoscale policy how many children we want, clamped to min/max
+		// multiple policies may be specified as an array, in which case the highest count wins
+		var self = this;
+		var policies = this.config.autoscale_policy || 'busy';
+		if (!Array.isArray(policies)) policies = [ policies ];
+		var desired = 0;
+		
+		policies.forEach( function(policy) {
+			var count = (typeof(policy) == 'function') ? policy(metrics, self) : self.runScalePolicy(policy, metrics);
+			desired = Math.max( desired, parseInt(count) || 0 );
+		} );
+		
+		var limits = this.getScaleLimits();
+		return Math.max( limits.min_children, Math.min( limits.max_children, desired ) );
+	},
+	
+	getScaleLimits: function(date) {
+		// get current min/max children, which may be overridden by first matching schedule rule
+		var limits = { min_children: this.config.min_children, max_children: this.config.max_children, rule: -1 };
+		var rules = this.config.schedule;
+		if (!rules || !rules.length) return limits;
+		if (!date) date = new Date();
+		
+		for (var idx = 0, len = rules.length; idx < len; idx++) {
+			var rule = rules[idx];
+			var parsed = this.parseSchedule( rule.when );
+			
+			if (parsed && Schedule.matches(parsed, date)) {
+				if ("min_children" in rule) limits.min_children = rule.min_children;
+				if ("max_children" in rule) limits.max_children = rule.max_children;
+				limits.rule = idx;
+				break;
 			}
 		}
+		
+		if (limits.max_children < limits.min_children) limits.max_children = limits.min_children;
+		return limits;
+	},
+	
+	parseSchedule: function(expr) {
+		// parse and cache schedule expression, log error once if invalid
+		if (!(expr in this.schedule_cache)) {
+			try {
+				this.schedule_cache[expr] = Schedule.parse(expr);
+			}
+			catch (err) {
+				this.logError('schedule', "" + err);
+				this.schedule_cache[expr] = null;
+			}
+		}
+		return this.schedule_cache[expr];
+	},
+	
+	checkScheduleChange: function(limits) {
+		// log and emit event when a different schedule rule (or none) comes into effect
+		if (limits.rule == this.schedule_rule) return;
+		this.schedule_rule = limits.rule;
+		
+		this.logDebug(3, "Schedule " + ((limits.rule > -1) ? ("rule " + limits.rule + " is now in effect") : "has ended") + 
+			", using min_children: " + limits.min_children + ", max_children: " + limits.max_children);
+		this.emit('schedule', limits);
+	},
+	
+	runScalePolicy: function(policy, metrics) {
+		// run built-in autoscale policy, return desired number of children
+		var targets = Tools.mergeHashes( { queue: 1, latency_ms: 1000, rate: 10, cpu_pct: 70 }, this.config.autoscale_targets || {} );
+		
+		switch (policy) {
+			case 'queue':
+				// enough children for current load, plus one per N queued requests
+				return metrics.num_working + Math.ceil( metrics.queue_size / targets.queue );
+			
+			case 'latency':
+				// scale working children in proportion to p95 latency vs. target
+				return Math.ceil( metrics.num_working * (metrics.latency_p95 / targets.latency_ms) );
+			
+			case 'rate':
+				// one child per N requests per second
+				return Math.ceil( metrics.arrival_rate / targets.rate );
+			
+			case 'cpu':
+				// scale active children in proportion to average cpu usage vs. target
+				return Math.ceil( metrics.num_active * (metrics.cpu_pct / targets.cpu_pct) );
+			
+			default:
+				// busy: busy children with headroom adjustment, plus one spare
+				if (policy != 'busy') this.logDebug(5, "Unknown autoscale policy: " + policy + ", using busy");
+				var num_busy_adj = Math.floor( metrics.num_busy + (metrics.num_busy * (this.config.child_headroom_pct / 100)) );
+				return num_busy_adj + 1;
+		}
+	},
+	
+	updateArrivalRate: function(now) {
+		// update smoothed request arrival rate (requests per second), called every tick
+		if (this.last_rate_time && (now > this.last_rate_time)) {
+			var rate = this.num_arrivals / (now - this.last_rate_time);
+			var alpha = this.config.ewma_alpha;
+			this.arrival_rate = (alpha * rate) + ((1 - alpha) * this.arrival_rate);
+		}
+		this.num_arrivals = 0;
+		this.last_rate_time = now;
 	},
 	
 	notifyWorkerStateChange: function(worker) {
 		// receive notification that a worker has changed its state
+		// workers going away lose their affinity mappings, so keys are remapped on next request
+		if (worker.state == 'shutdown') this.clearAffinity(worker.pid);
+		
+		// a newly active worker may be able to take backlogged requests
+		if ((worker.state == 'active') && this.queue.length) this.processQueue();
+		
 		// log all worker state counts
 		var states = {};
 		for (var pid in this.workers) {
@@ -414,11 +1657,55 @@ module.exports = Class.create({
 		
 		// emit event if child crashed
 		if (code) this.emit('crash', { pid: worker.pid, code: code });
+		
+		// track unexpected exits (crashes, startup failures) for crash loop detection
+		if (worker.crashed) this.recordCrash(worker, code);
+	},
+	
+	recordCrash: function(worker, code) {
+		// record worker crash, and back off respawns exponentially if we are in a crash loop
+		if (!this.config.crash_loop_max) return;
+		var now = Tools.timeNow();
+		
+		this.crash_times.push( now );
+		this.pruneCrashes();
+		
+		if (this.crash_times.length >= this.config.crash_loop_max) {
+			this.respawn_delay = this.respawn_delay ? 
+				Math.min( this.respawn_delay * 2, this.config.respawn_backoff_max_sec ) : this.config.respawn_backoff_sec;
+			this.next_spawn_time = now + this.respawn_delay;
+			
+			this.logError('crashloop', "Pool " + this.config.id + " is in a crash loop (" + this.crash_times.length + " crashes in " + 
+				this.config.crash_loop_window_sec + " seconds), delaying respawn for " + this.respawn_delay + " seconds", { pid: worker.pid, code: code });
+			
+			this.degraded = true;
+			this.emit('crashloop', { pid: worker.pid, code: code, crashes: this.crash_times.length, backoff_sec: this.respawn_delay });
+		}
+	},
+	
+	pruneCrashes: function() {
+		// discard crashes older than the crash loop window
+		var min_time = Tools.timeNow() - this.config.crash_loop_window_sec;
+		while (this.crash_times.length && (this.crash_times[0] < min_time)) this.crash_times.shift();
+	},
+	
+	checkCrashLoop: function() {
+		// clear degraded state once no crashes have occurred for an entire window
+		this.pruneCrashes();
+		if (this.crash_times.length) return;
+		
+		this.logDebug(2, "Pool " + this.config.id + " has recovered from crash loop");
+		this.degraded = false;
+		this.respawn_delay = 0;
+		this.next_spawn_time = 0;
 	},
 	
 	shutdown: function(callback) {
 		// shutdown all workers in pool
+		// returns promise if no callback is provided
 		var self = this;
+		if (!callback) return new Promise( function(resolve) { self.shutdown( resolve ); } );
+		
 		this.logDebug(2, "Shutting down pool: " + this.config.id);
 		
 		Object.keys(this.workers).forEach( function(pid) {
@@ -11,6 +11,11 @@ var Class = require("pixl-class");
 var Tools = require("pixl-tools");
 var Perf = require("pixl-perf");
 var BinaryStream = require('./stream.js');
+var promiseCustom = require('./promise_custom.js');
+var RemoteError = require('./remote_error.js');
+
+// clock ticks per second (USER_HZ), used by cpu times in /proc/<pid>/stat
+var CLOCK_TICKS = 100;
 
 module.exports = Class.create({
 	// WorkerProxy represents one single worker process, but runs in the parent process
@@ -21,6 +26,16 @@ module.exports = Class.create({
 	num_active_requests: 0,
 	max_requests_per_child: 0,
 	last_maint: 0,
+	ewma_latency: 0,
+	memory: null,
+	last_usage: 0,
+	cpu_pct: 0,
+	cpu_sec: 0,
+	cpu_time: 0,
+	cpu_stuck_since: 0,
+	last_cpu_sample: 0,
+	proc_stat: null,
+	crashed: false,
 	state: '', // startup, active, maint, shutdown
 	
 	__construct: function(config, pool) {
@@ -163,6 +178,7 @@ module.exports = Class.create({
 		
 		this.child.on('error', function (err) {
 			// child error (death)
+			self.crashed = true;
 			self.shut = true;
 			self.changeState('shutdown');
 			self.child_exited = true;
@@ -194,6 +210,8 @@ module.exports = Class.create({
 		
 		this.child.on('exit', function (code, signal) {
 			// child exited
+			// consider it a crash if it failed, was killed unexpectedly, or never finished starting up
+			self.crashed = !!code || (!!signal && !self.shut) || !self.started;
 			self.shut = true;
 			self.changeState('shutdown');
 			self.child_exited = true;
@@ -242,6 +260,14 @@ module.exports = Class.create({
 			id: args.id || this.pool.manager.getUniqueID('r'),
 			params: args.params
 		};
+		args.id = data.id;
+		
+		// absolute deadline (epoch ms), from caller or request_timeout_sec, also enforced in child
+		var deadline = args.deadline || (this.config.request_timeout_sec ? (Date.now() + (this.config.request_timeout_sec * 1000)) : 0);
+		if (deadline) data.deadline = deadline;
+		
+		// named RPC method (see pool.call)
+		if ((data.cmd == 'custom') && args.method) data.method = args.method;
 		
 		if (data.cmd == 'request') {
 			// web request
@@ -281,10 +307,19 @@ module.exports = Class.create({
 		this.requests[ data.id ] = {
 			args: args,
 			callback: callback,
-			timer: this.config.request_timeout_sec ? 
-				setTimeout( this.handleChildTimeout.bind(this, data.id), this.config.request_timeout_sec * 1000 ) : null
+			started: Date.now(),
+			timer: deadline ? 
+				setTimeout( this.handleChildTimeout.bind(this, data.id), Math.max( 0, deadline - Date.now() ) ) : null
 		};
 		
+		// watch for client disconnect, so we can tell the child to stop working on it
+		var socket = (data.cmd == 'request') ? args.request.socket : null;
+		if (socket && socket.once) {
+			var req = this.requests[ data.id ];
+			req.onClose = this.handleClientDisconnect.bind(this, data.id);
+			socket.once('close', req.onClose);
+		}
+		
 		this.num_active_requests++;
 		this.pool.num_active_requests++;
 		
@@ -296,24 +331,53 @@ module.exports = Class.create({
 		this.encodeStream.write( data );
 	},
 	
-	delegateCustom: function(user_data, callback) {
+	delegateCustom: function(user_data, opts, callback) {
 		// send custom request into child, i.e. not web related
+		// opts is optional, and may contain: signal
+		// returns handle with request id and cancel() function
+		// if no callback is provided, returns promise (resolves to {data, perf}) with id and cancel() attached
+		var self = this;
+		if (typeof(opts) == 'function') { callback = opts; opts = null; }
+		if (!callback) return promiseCustom( this, user_data, opts );
+		if (!opts) opts = {};
+		
 		var perf = new Perf();
 		perf.begin();
 		
 		var args = {
 			cmd: 'custom',
+			id: this.pool.manager.getUniqueID('r'),
 			params: user_data,
 			perf: perf
 		};
 		
+		var handle = {
+			id: args.id,
+			cancel: function() {
+				args.canceled = true;
+				if (self.abortRequest( args.id, "499 Client Closed Request", "Request was cancelled." )) return true;
+				delete args.canceled;
+				return false;
+			}
+		};
+		
+		// optional AbortSignal, which cancels the request
+		var signal = opts.signal || null;
+		var onAbort = function() { handle.cancel(); };
+		if (signal) signal.addEventListener( 'abort', onAbort );
+		
 		this.delegateRequest( args, function(status, headers, body) {
 			// convert web response to standard err/data/perf callback
 			perf.end();
+			if (signal) signal.removeEventListener( 'abort', onAbort );
 			
-			if (status != "200 OK") {
+			if (args.remote_error) {
+				// rebuild original error thrown in worker
+				callback( RemoteError.revive( args.remote_error, status ), null, perf );
+			}
+			else if (status != "200 OK") {
 				var err = new Error( body.toString() );
-				err.code = status;
+				err.code = args.canceled ? 'ECANCELED' : status;
 				callback( err, null, perf );
 			}
 			else {
@@ -321,6 +385,59 @@ module.exports = Class.create({
 				callback( null, body, perf );
 			}
 		} ); // delegateRequest
+		
+		if (signal && signal.aborted) handle.cancel();
+		return handle;
+	},
+	
+	abortRequest: function(id, status, msg) {
+		// abort active request: tell child to stop working on it, and respond right away
+		if (!this.requests[id] || this.requests[id].cancelled) return false;
+		this.requests[id].aborted = true;
+		
+		// (child stdin may already be closed if it is shutting down)
+		if (this.encodeStream && this.encodeStream.writable) this.encodeStream.write({ cmd: 'abort', id: id });
+		
+		this.handleChildResponse({
+			id: id,
+			status: status,
+			body: status + ": " + msg
+		});
+		return true;
+	},
+	
+	handleClientDisconnect: function(id) {
+		// client socket closed before response was sent
+		var req = this.requests[id];
+		if (!req || req.cancelled) return;
+		delete req.onClose; // listener is gone (once)
+		
+		this.logDebug(8, "Client disconnected, aborting request: " + id + " on worker: " + this.pid, { uri: req.args.request.url });
+		this.abortRequest( id, "499 Client Closed Request", "Client closed connection before response was sent." );
+	},
+	
+	releaseRequest: function(id, req) {
+		// stop tracking request, cleanup timer and socket listener
+		if (req.timer) {
+			clearTimeout( req.timer );
+			delete req.timer;
+		}
+		if (req.onClose) {
+			req.args.request.socket.removeListener( 'close', req.onClose );
+			delete req.onClose;
+		}
+		delete this.requests[id];
+	},
+	
+	cancelRequest: function(id) {
+		// cancel active request, so the response from the child (if any) is quietly dropped
+		// the request stays tracked until the child is done with it, to keep the counts accurate
+		var req = this.requests[id];
+		if (!req || req.cancelled) return false;
+		
+		this.logDebug(9, "Cancelling request: " + id + " on worker: " + this.pid);
+		req.cancelled = true;
+		return true;
 	},
 	
 	sendMessage: function(user_data) {
@@ -349,8 +466,12 @@ module.exports = Class.create({
 		
 		for (var id in this.requests) {
 			var req = this.requests[id];
+			var uri = (req.args.cmd == 'custom') ? '(internal)' : req.args.request.url;
+			
+			this.logError(500, "Aborted request: " + uri + ": " + msg);
 			
-			this.logError(500, "Aborted request: " + req.args.request.url + ": " + msg);
+			// flag request so pool can decide to retry it (not possible if sse response has started)
+			if (!req.sse) req.args.abort_msg = msg;
 			
 			this.handleChildResponse({
 				id: id,
@@ -366,7 +487,8 @@ module.exports = Class.create({
 		// child request took too long
 		if (this.requests[id]) {
 			delete this.requests[id].timer;
-			var msg = "Worker request exceeded maximum allowed time of " + this.config.request_timeout_sec + " seconds.";
+			var msg = this.requests[id].args.deadline ? "Worker request exceeded its deadline." : 
+				("Worker request exceeded maximum allowed time of " + this.config.request_timeout_sec + " seconds.");
 			this.logError(504, msg);
 			
 			this.handleChildResponse({
@@ -406,6 +528,18 @@ module.exports = Class.create({
 				return;
 			break;
 			
+			case 'usage':
+				// periodic resource usage report from child
+				this.memory = data.memory;
+				this.last_usage = Tools.timeNow();
+				
+				// only use reported cpu time if /proc is unavailable
+				if ((this.proc_stat === false) && data.cpu) {
+					this.updateCPU( (data.cpu.user + data.cpu.system) / 1000000, this.last_usage );
+				}
+				return;
+			break;
+			
 			case 'internal':
 				// internal command from child, emit as event
 				this.logDebug(10, "Received internal response from child: " + this.pid, data.data);
@@ -423,6 +557,19 @@ module.exports = Class.create({
 			return;
 		}
 		
+		// cancelled request (i.e. lost a hedge race), drop response once child is done with it
+		if (req.cancelled) {
+			if (data.cmd == 'sse') return;
+			this.logDebug(9, "Dropping response for cancelled request: " + data.id);
+			
+			this.releaseRequest( data.id, req );
+			if (req.args.circuit_probe) this.pool.releaseCircuitProbe( req.args, null );
+			this.num_active_requests--;
+			this.pool.num_active_requests--;
+			this.pool.processQueue();
+			return;
+		}
+		
 		// sse chunk
 		if ((data.cmd == 'sse') && data.chunk && data.chunk.data) {
 			var chunk = data.chunk;
@@ -497,7 +644,20 @@ module.exports = Class.create({
 		}
 		
 		// remove active request
-		delete this.requests[ data.id ];
+		this.releaseRequest( data.id, req );
+		
+		// track exponentially weighted moving average of response latency (for ewma strategy)
+		var elapsed = Date.now() - req.started;
+		var alpha = this.config.ewma_alpha;
+		this.ewma_latency = this.ewma_latency ? ((alpha * elapsed) + ((1 - alpha) * this.ewma_latency)) : elapsed;
+		
+		// notify pool for adaptive concurrency (skip sse, as those are long-lived by design)
+		if (!req.sse) {
+			this.pool.notifyRequestComplete( this, { elapsed: elapsed, status: data.status || "200 OK", inflight: this.pool.num_active_requests } );
+		}
+		
+		// always free circuit breaker probe slot, but client aborts and cancels do not count as results
+		if (args.circuit_probe) this.pool.releaseCircuitProbe( args, req.aborted ? null : (data.status || "200 OK") );
 		
 		this.num_requests_served++;
 		this.num_active_requests--;
@@ -511,6 +671,8 @@ module.exports = Class.create({
 		}
 		else {
 			// end normal request
+			// custom requests may carry serialized error from worker
+			if (args.cmd == 'custom') args.remote_error = data.error || null;
 			callback( data.status || "200 OK", data.headers || {}, body );
 		}
 	},
@@ -596,6 +758,45 @@ module.exports = Class.create({
 		}
 	},
 	
+	sampleCPU: function(now) {
+		// sample cpu time from /proc (linux), otherwise fall back to usage reported by child
+		var self = this;
+		if (!this.pid || this.child_exited || (this.proc_stat === false)) return;
+		if (now - this.last_cpu_sample < this.config.cpu_sample_sec) return;
+		this.last_cpu_sample = now;
+		
+		fs.readFile( '/proc/' + this.pid + '/stat', 'utf8', function(err, contents) {
+			if (err) {
+				if (!self.child_exited) {
+					self.logDebug(5, "Cannot read /proc stats for worker " + self.pid + ", using child reports: " + err);
+					self.proc_stat = false;
+				}
+				return;
+			}
+			self.proc_stat = true;
+			
+			// process name may contain spaces, so split after it (utime and stime are fields 14 and 15)
+			var fields = contents.substring( contents.lastIndexOf(')') + 2 ).split(' ');
+			self.updateCPU( (parseInt(fields[11]) + parseInt(fields[12])) / CLOCK_TICKS, Tools.timeNow() );
+		} );
+	},
+	
+	updateCPU: function(cpu_sec, now) {
+		// convert cumulative cpu time to percent of one core since last sample
+		if (this.cpu_time && (now > this.cpu_time)) {
+			this.cpu_pct = Math.max( 0, Math.round( ((cpu_sec - this.cpu_sec) / (now - this.cpu_time)) * 1000 ) / 10 );
+			
+			// track how long worker has been pegged without any active requests
+			if (this.config.max_idle_cpu_pct && !this.num_active_requests && (this.cpu_pct >= this.config.max_idle_cpu_pct)) {
+				if (!this.cpu_stuck_since) this.cpu_stuck_since = this.cpu_time;
+			}
+			else this.cpu_stuck_since = 0;
+		}
+		
+		this.cpu_sec = cpu_sec;
+		this.cpu_time = now;
+	},
+	
 	changeState: function(new_state) {
 		// change child state
 		if (new_state != this.state) {